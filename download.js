@@ -3,14 +3,32 @@ export async function main(ns) {
     const baseUrl = "https://raw.githubusercontent.com/cheeseonhead/bb-for-fun/main";
 
     const files = [
+        "hack-v1/allocator.js",
+        "hack-v1/analyzer-backend.js",
         "hack-v1/analyzer.js",
+        "hack-v1/backdoor.js",
+        "hack-v1/budget.js",
+        "hack-v1/buy-programs.js",
+        "hack-v1/config.js",
+        "hack-v1/contract-solvers.js",
+        "hack-v1/contracts.js",
+        "hack-v1/ctl.js",
         "hack-v1/deploy.js",
+        "hack-v1/hacknet-manager.js",
+        "hack-v1/heartbeat.js",
         "hack-v1/launcher.js",
         "hack-v1/manager.js",
+        "hack-v1/network.js",
+        "hack-v1/programs.js",
+        "hack-v1/ram-planner.js",
+        "hack-v1/route.js",
+        "hack-v1/scheduler-checkpoint.js",
+        "hack-v1/scheduler-control.js",
         "hack-v1/scheduler.js",
         "hack-v1/server-manager.js",
         "hack-v1/shutdown.js",
         "hack-v1/status-reporter.js",
+        "hack-v1/target-stats.js",
         "hack-v1/workers/grow.js",
         "hack-v1/workers/hack.js",
         "hack-v1/workers/weaken.js"
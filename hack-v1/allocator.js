@@ -0,0 +1,71 @@
+/** @param {NS} ns */
+
+const DEFAULT_QUOTA = { min: 0, max: 1 };
+
+/**
+ * Split free RAM across targets to maximize total income
+ * Min quotas are honored first, then RAM goes to the highest marginal value per GB
+ * @param {Array<{hostname: string, demand: number, value: number, committedRam: number}>} candidates
+ *        demand - RAM the target's next prep step or batches could use
+ *        value - Estimated income the next GB given to the target would add, from estimateRamValue
+ *        committedRam - RAM already held by the target's running operations
+ * @param {number} totalRam - Total RAM of the pool (quotas are fractions of this)
+ * @param {number} freeRam - RAM available to hand out
+ * @param {Object<string, {min: number, max: number}>} [quotas={}] - Per-target quotas
+ * @returns {Object<string, {ram: number, share: number, value: number, committedRam: number, available: number}>} Plan by target
+ *          available - RAM the target holds, was granted, or could still take from what's left over, within its max quota
+ */
+export function allocateRam(candidates, totalRam, freeRam, quotas = {}) {
+    const plan = {};
+    let remaining = freeRam;
+
+    for (const c of candidates) {
+        plan[c.hostname] = { ram: 0, share: 0, value: c.value, committedRam: c.committedRam };
+    }
+
+    // Pass 1: top every target up to its minimum quota
+    for (const c of candidates) {
+        const quota = getQuota(quotas, c.hostname);
+        const wanted = Math.max(0, quota.min * totalRam - c.committedRam);
+        const grant = Math.min(wanted, c.demand, remaining);
+
+        plan[c.hostname].ram += grant;
+        remaining -= grant;
+    }
+
+    // Pass 2: hand out the rest by value, up to each target's maximum quota
+    const byValue = [...candidates].sort((a, b) => b.value - a.value);
+    for (const c of byValue) {
+        if (remaining <= 0) break;
+
+        const quota = getQuota(quotas, c.hostname);
+        const entry = plan[c.hostname];
+        const cap = Math.max(0, quota.max * totalRam - c.committedRam - entry.ram);
+        const grant = Math.min(c.demand - entry.ram, cap, remaining);
+
+        if (grant > 0) {
+            entry.ram += grant;
+            remaining -= grant;
+        }
+    }
+
+    // Share of the whole pool each target ends up holding
+    for (const hostname in plan) {
+        const entry = plan[hostname];
+        const held = entry.committedRam + entry.ram;
+        entry.share = totalRam > 0 ? held / totalRam : 0;
+        entry.available = Math.min(getQuota(quotas, hostname).max * totalRam, held + remaining);
+    }
+
+    return plan;
+}
+
+/**
+ * Get the quota for a target, falling back to the default
+ * @param {Object<string, {min: number, max: number}>} quotas
+ * @param {string} hostname
+ * @returns {{min: number, max: number}}
+ */
+function getQuota(quotas, hostname) {
+    return { ...DEFAULT_QUOTA, ...(quotas[hostname] || {}) };
+}
@@ -0,0 +1,113 @@
+/** @param {NS} ns */
+
+/**
+ * Get the analyzer backend for the current game state
+ * Uses exact Formulas.exe math when available, live-state heuristics otherwise.
+ * Both backends answer for a prepped target (min security, max money) where they can.
+ * @param {NS} ns
+ * @returns {{
+ *   name: string,
+ *   hackThreads: (target: string, hackPercent: number) => number,
+ *   growThreads: (target: string, fromMoney: number, cores?: number) => number,
+ *   hackChance: (target: string) => number,
+ *   hackTime: (target: string) => number,
+ *   growTime: (target: string) => number,
+ *   weakenTime: (target: string) => number,
+ *   hackSecurity: (threads: number) => number,
+ *   growSecurity: (threads: number) => number,
+ *   weakenPerThread: (cores?: number) => number
+ * }}
+ */
+export function getAnalyzerBackend(ns) {
+    if (ns.fileExists("Formulas.exe", "home")) {
+        return createFormulasBackend(ns);
+    }
+    return createHeuristicBackend(ns);
+}
+
+/**
+ * Get the grow/weaken strength multiplier for a host's CPU cores
+ * Grow and weaken threads on a multi-core host count for this many single-core threads.
+ * @param {number} cores
+ * @returns {number}
+ */
+export function getCoreBonus(cores = 1) {
+    return 1 + (cores - 1) / 16;
+}
+
+/**
+ * Backend built on ns.formulas.hacking with server/player snapshots
+ * @param {NS} ns
+ * @returns {Object} Analyzer backend
+ */
+function createFormulasBackend(ns) {
+    const player = ns.getPlayer();
+
+    // Snapshot of the target as it will be once prepped
+    const preppedServer = (target) => {
+        const server = ns.getServer(target);
+        server.hackDifficulty = server.minDifficulty;
+        server.moneyAvailable = server.moneyMax;
+        return server;
+    };
+
+    return {
+        name: "formulas",
+        hackThreads: (target, hackPercent) => {
+            const perThread = ns.formulas.hacking.hackPercent(preppedServer(target), player);
+            return perThread > 0 ? hackPercent / perThread : 0;
+        },
+        growThreads: (target, fromMoney, cores = 1) => {
+            const server = preppedServer(target);
+            server.moneyAvailable = fromMoney;
+            return ns.formulas.hacking.growThreads(server, player, server.moneyMax, cores);
+        },
+        hackChance: (target) => ns.formulas.hacking.hackChance(preppedServer(target), player),
+        hackTime: (target) => ns.formulas.hacking.hackTime(preppedServer(target), player),
+        growTime: (target) => ns.formulas.hacking.growTime(preppedServer(target), player),
+        weakenTime: (target) => ns.formulas.hacking.weakenTime(preppedServer(target), player),
+        ...createSecurityAnalysis(ns)
+    };
+}
+
+/**
+ * Fallback backend using live-state helpers
+ * Results reflect the target's current security, not its prepped state.
+ * @param {NS} ns
+ * @returns {Object} Analyzer backend
+ */
+function createHeuristicBackend(ns) {
+    return {
+        name: "heuristic",
+        hackThreads: (target, hackPercent) => {
+            // hackAnalyzeThreads would divide by current money, which is low while a pipelined grow is still in flight
+            const perThread = ns.hackAnalyze(target);
+            return perThread > 0 ? hackPercent / perThread : 0;
+        },
+        growThreads: (target, fromMoney, cores = 1) => {
+            // If money is 0 or very low, start with 1 to avoid division issues
+            const baseMoney = Math.max(fromMoney, 1);
+            const multiplier = ns.getServerMaxMoney(target) / baseMoney;
+            return ns.growthAnalyze(target, multiplier, cores);
+        },
+        hackChance: (target) => ns.hackAnalyzeChance(target),
+        hackTime: (target) => ns.getHackTime(target),
+        growTime: (target) => ns.getGrowTime(target),
+        weakenTime: (target) => ns.getWeakenTime(target),
+        ...createSecurityAnalysis(ns)
+    };
+}
+
+/**
+ * Security effects of hack, grow and weaken threads, shared by both backends
+ * No hostname is passed, so hack and grow aren't capped by the target's current money.
+ * @param {NS} ns
+ * @returns {Object} hackSecurity, growSecurity and weakenPerThread of an analyzer backend
+ */
+function createSecurityAnalysis(ns) {
+    return {
+        hackSecurity: (threads) => ns.hackAnalyzeSecurity(threads),
+        growSecurity: (threads) => ns.growthAnalyzeSecurity(threads),
+        weakenPerThread: (cores = 1) => ns.weakenAnalyze(1, cores)
+    };
+}
@@ -1,9 +1,12 @@
 /** @param {NS} ns */
 
-// Security constants
-const WEAKEN_AMOUNT = 0.05;
-const HACK_SECURITY_INCREASE = 0.002;
-const GROW_SECURITY_INCREASE = 0.004;
+import { getAnalyzerBackend } from "/hack-v1/analyzer-backend.js";
+import { getAllServers } from "/hack-v1/network.js";
+
+const WORKER_RAM = 1.75;
+
+// Hack fractions tried by the optimizer
+const HACK_FRACTIONS = [0.01, 0.02, 0.03, 0.05, 0.075, 0.1, 0.15, 0.2, 0.25, 0.3, 0.4, 0.5, 0.6, 0.75, 0.9];
 
 /**
  * Check if a server is prepped (min security, max money)
@@ -26,6 +29,7 @@ export function isPrepped(ns, target) {
 
 /**
  * Calculate threads needed to prep a server
+ * Counts are for single-core hosts; the RAM planner scales them per host.
  * @param {NS} ns
  * @param {string} target
  * @returns {{weakenThreads: number, growThreads: number}}
@@ -35,18 +39,16 @@ export function getPrepNeeds(ns, target) {
     const minSec = ns.getServerMinSecurityLevel(target);
     const currentMoney = ns.getServerMoneyAvailable(target);
     const maxMoney = ns.getServerMaxMoney(target);
+    const backend = getAnalyzerBackend(ns);
 
     // Calculate weaken threads needed
     const secToReduce = Math.max(0, currentSec - minSec);
-    const weakenThreads = Math.ceil(secToReduce / WEAKEN_AMOUNT);
+    const weakenThreads = Math.ceil(secToReduce / backend.weakenPerThread());
 
     // Calculate grow threads needed
     let growThreads = 0;
     if (currentMoney < maxMoney * 0.99) {
-        // If money is 0 or very low, start with 1 to avoid division issues
-        const baseMoney = Math.max(currentMoney, 1);
-        const multiplier = maxMoney / baseMoney;
-        growThreads = Math.ceil(ns.growthAnalyze(target, multiplier));
+        growThreads = Math.ceil(backend.growThreads(target, currentMoney));
     }
 
     return { weakenThreads, growThreads };
@@ -54,29 +56,29 @@ export function getPrepNeeds(ns, target) {
 
 /**
  * Calculate HWGW batch thread counts
+ * Counts are for single-core hosts; the RAM planner scales grow/weaken per host.
  * @param {NS} ns
  * @param {string} target
  * @param {number} hackPercent - Percent of max money to hack (0-1)
- * @returns {{hackThreads: number, growThreads: number, weakenThreads: number}}
+ * @returns {{hackThreads: number, growThreads: number, weaken1Threads: number, weaken2Threads: number, weakenThreads: number}}
  */
 export function calculateBatchSize(ns, target, hackPercent = 0.05) {
     const maxMoney = ns.getServerMaxMoney(target);
-    const moneyToSteal = maxMoney * hackPercent;
+    const backend = getAnalyzerBackend(ns);
 
     // Calculate hack threads
-    const hackThreads = Math.max(1, Math.floor(ns.hackAnalyzeThreads(target, moneyToSteal)));
+    const hackThreads = Math.max(1, Math.floor(backend.hackThreads(target, hackPercent)));
 
     // Calculate grow threads to restore money
-    const growMultiplier = 1 / (1 - hackPercent);
-    const growThreads = Math.ceil(ns.growthAnalyze(target, growMultiplier));
+    const growThreads = Math.ceil(backend.growThreads(target, maxMoney * (1 - hackPercent)));
 
     // Calculate weaken threads to counter security increases
-    const hackSecIncrease = hackThreads * HACK_SECURITY_INCREASE;
-    const growSecIncrease = growThreads * GROW_SECURITY_INCREASE;
-    const totalSecIncrease = hackSecIncrease + growSecIncrease;
-    const weakenThreads = Math.ceil(totalSecIncrease / WEAKEN_AMOUNT);
+    // W1 lands after the hack, W2 lands after the grow
+    const weaken1Threads = Math.ceil(backend.hackSecurity(hackThreads) / backend.weakenPerThread());
+    const weaken2Threads = Math.ceil(backend.growSecurity(growThreads) / backend.weakenPerThread());
+    const weakenThreads = weaken1Threads + weaken2Threads;
 
-    return { hackThreads, growThreads, weakenThreads };
+    return { hackThreads, growThreads, weaken1Threads, weaken2Threads, weakenThreads };
 }
 
 /**
@@ -87,6 +89,7 @@ export function calculateBatchSize(ns, target, hackPercent = 0.05) {
  */
 export function getBestTargets(ns, count = 5) {
     const player = ns.getPlayer();
+    const backend = getAnalyzerBackend(ns);
     const servers = getAllServers(ns);
     const scored = [];
 
@@ -109,7 +112,7 @@ export function getBestTargets(ns, count = 5) {
         }
 
         // Calculate score
-        const score = calculateTargetScore(ns, hostname, server);
+        const score = calculateTargetScore(ns, hostname, server, backend);
         scored.push({ hostname, score });
     }
 
@@ -123,17 +126,18 @@ export function getBestTargets(ns, count = 5) {
  * Calculate projected money per second for a target (after prep)
  * @param {NS} ns
  * @param {string} hostname
+ * @param {number} [hackPercent=0.05] - Percent of max money hacked per batch (0-1)
  * @returns {number} Money per second
  */
-export function calculateMoneyPerSec(ns, hostname) {
-    const hackTime = ns.getHackTime(hostname);
-    const weakenTime = ns.getWeakenTime(hostname);
-    const growTime = ns.getGrowTime(hostname);
+export function calculateMoneyPerSec(ns, hostname, hackPercent = 0.05) {
+    const backend = getAnalyzerBackend(ns);
+    const hackTime = backend.hackTime(hostname);
+    const weakenTime = backend.weakenTime(hostname);
+    const growTime = backend.growTime(hostname);
     const maxMoney = ns.getServerMaxMoney(hostname);
 
     // Calculate ongoing money per second (after prep)
-    const hackPercent = 0.05; // Conservative 5%
-    const hackChance = ns.hackAnalyzeChance(hostname);
+    const hackChance = backend.hackChance(hostname);
     const moneyPerHack = maxMoney * hackPercent * hackChance;
 
     // Cycle time is dominated by the longest operation
@@ -143,17 +147,114 @@ export function calculateMoneyPerSec(ns, hostname) {
     return moneyPerSecond;
 }
 
+/**
+ * Find the hack fraction that earns the most per GB of available RAM
+ * Each fraction is scored by the income of as many batches as fit in the RAM
+ * (up to the pipeline depth), weighted by hack chance.
+ * @param {NS} ns
+ * @param {string} hostname
+ * @param {number} availableRam - RAM the target can use for batches
+ * @param {number} maxDepth - Max batches in flight against the target
+ * @returns {{hackPercent: number, incomePerSec: number, incomePerGb: number, batchRam: number, depth: number}}
+ */
+export function optimizeHackFraction(ns, hostname, availableRam, maxDepth) {
+    const backend = getAnalyzerBackend(ns);
+    const weakenTime = backend.weakenTime(hostname);
+    const maxMoney = ns.getServerMaxMoney(hostname);
+    const hackChance = backend.hackChance(hostname);
+
+    let best = null;
+
+    for (const hackPercent of HACK_FRACTIONS) {
+        const batch = calculateBatchSize(ns, hostname, hackPercent);
+        const batchRam = (batch.hackThreads + batch.growThreads + batch.weakenThreads) * WORKER_RAM;
+        if (batchRam > availableRam) {
+            continue;
+        }
+
+        // Batches in flight each complete once per weaken time
+        const depth = Math.min(maxDepth, Math.floor(availableRam / batchRam));
+        const incomePerSec = depth * maxMoney * hackPercent * hackChance / (weakenTime / 1000);
+        const incomePerGb = incomePerSec / availableRam;
+
+        if (!best || incomePerGb > best.incomePerGb) {
+            best = { hackPercent, incomePerSec, incomePerGb, batchRam, depth };
+        }
+    }
+
+    // Nothing fits: fall back to the smallest fraction and let the scheduler shrink it
+    if (!best) {
+        const hackPercent = HACK_FRACTIONS[0];
+        const batch = calculateBatchSize(ns, hostname, hackPercent);
+        const batchRam = (batch.hackThreads + batch.growThreads + batch.weakenThreads) * WORKER_RAM;
+        best = { hackPercent, incomePerSec: 0, incomePerGb: 0, batchRam, depth: 0 };
+    }
+
+    return best;
+}
+
+/**
+ * Estimate the income per GB of the next increment of RAM given to a target
+ * While the pipeline has room the increment is one more batch. Once it's full, it's raising
+ * every batch to the next hack fraction, which costs more grow and weaken per dollar.
+ * Prep earns nothing directly, so it gets the first batch's value discounted by prep time.
+ * @param {NS} ns
+ * @param {string} hostname
+ * @param {number} hackPercent - Percent of max money hacked per batch (0-1)
+ * @param {boolean} prepped - Whether the next step is a batch (true) or prep (false)
+ * @param {number} inFlight - Batches already in flight against the target
+ * @param {number} maxDepth - Max batches in flight against the target
+ * @returns {number} Added money per second per added GB, 0 if more RAM adds nothing
+ */
+export function estimateRamValue(ns, hostname, hackPercent, prepped, inFlight, maxDepth) {
+    const backend = getAnalyzerBackend(ns);
+    const weakenTime = backend.weakenTime(hostname);
+    const maxMoney = ns.getServerMaxMoney(hostname);
+    const hackChance = backend.hackChance(hostname);
+
+    // Batches in flight each complete once per weaken time
+    const income = (percent, depth) => depth * maxMoney * percent * hackChance / (weakenTime / 1000);
+    const batchRam = (percent) => {
+        const batch = calculateBatchSize(ns, hostname, percent);
+        return (batch.hackThreads + batch.growThreads + batch.weakenThreads) * WORKER_RAM;
+    };
+
+    const depth = prepped ? inFlight : 0;
+    let gain;
+    let ram;
+    if (depth < maxDepth) {
+        gain = income(hackPercent, depth + 1) - income(hackPercent, depth);
+        ram = batchRam(hackPercent);
+    } else {
+        const next = HACK_FRACTIONS.find(f => f > hackPercent);
+        if (next === undefined) {
+            return 0;
+        }
+        gain = income(next, depth) - income(hackPercent, depth);
+        ram = depth * (batchRam(next) - batchRam(hackPercent));
+    }
+    const value = ram > 0 ? gain / ram : 0;
+
+    if (prepped) {
+        return value;
+    }
+
+    // Same amortization as target scoring: a prep cycle is roughly one weaken time
+    return value / (1 + weakenTime / 3600000);
+}
+
 /**
  * Calculate score for a target server
  * @param {NS} ns
  * @param {string} hostname
  * @param {Server} server
+ * @param {Object} backend - Analyzer backend from getAnalyzerBackend
  * @returns {number}
  */
-function calculateTargetScore(ns, hostname, server) {
-    const hackTime = ns.getHackTime(hostname);
-    const weakenTime = ns.getWeakenTime(hostname);
-    const growTime = ns.getGrowTime(hostname);
+function calculateTargetScore(ns, hostname, server, backend) {
+    const hackTime = backend.hackTime(hostname);
+    const weakenTime = backend.weakenTime(hostname);
+    const growTime = backend.growTime(hostname);
 
     // Calculate prep overhead
     const currentSec = server.hackDifficulty;
@@ -163,7 +264,7 @@ function calculateTargetScore(ns, hostname, server) {
 
     // Estimate prep time (simplified)
     const secToReduce = Math.max(0, currentSec - minSec);
-    const prepWeakenTime = (secToReduce / WEAKEN_AMOUNT) * weakenTime;
+    const prepWeakenTime = (secToReduce / backend.weakenPerThread()) * weakenTime;
 
     let prepGrowTime = 0;
     if (currentMoney < maxMoney * 0.5) {
@@ -175,7 +276,7 @@ function calculateTargetScore(ns, hostname, server) {
 
     // Calculate ongoing money per second
     const hackPercent = 0.05; // Conservative 5%
-    const hackChance = ns.hackAnalyzeChance(hostname);
+    const hackChance = backend.hackChance(hostname);
     const moneyPerHack = maxMoney * hackPercent * hackChance;
 
     // Cycle time is dominated by the longest operation
@@ -187,29 +288,3 @@ function calculateTargetScore(ns, hostname, server) {
 
     return adjustedScore;
 }
-
-/**
- * Helper to get all servers (BFS scan)
- * @param {NS} ns
- * @returns {string[]}
- */
-function getAllServers(ns) {
-    const queue = ["home"];
-    const visited = new Set(["home"]);
-    const servers = [];
-
-    while (queue.length > 0) {
-        const current = queue.shift();
-        servers.push(current);
-
-        const neighbors = ns.scan(current);
-        for (const neighbor of neighbors) {
-            if (!visited.has(neighbor)) {
-                visited.add(neighbor);
-                queue.push(neighbor);
-            }
-        }
-    }
-
-    return servers;
-}
@@ -0,0 +1,40 @@
+/** @param {NS} ns */
+
+import { mapNetwork, findRoute } from "/hack-v1/network.js";
+
+/**
+ * Install backdoors on the given servers, in order, then return home
+ * Usage: run hack-v1/backdoor.js <host> [host...]
+ * @param {NS} ns
+ */
+export async function main(ns) {
+    ns.disableLog("ALL");
+
+    const network = mapNetwork(ns);
+
+    for (const hostname of ns.args.map(String)) {
+        const route = findRoute(network, hostname);
+        if (!route) {
+            ns.print(`${hostname} is not on the network`);
+            continue;
+        }
+
+        try {
+            // Routes start from home, wherever the terminal was left
+            ns.singularity.connect("home");
+            for (const host of route) {
+                if (!ns.singularity.connect(host)) {
+                    throw new Error(`could not connect to ${host}`);
+                }
+            }
+
+            await ns.singularity.installBackdoor();
+            ns.print(`Backdoor installed on ${hostname}`);
+            ns.tprint(`Backdoor installed on ${hostname}`);
+        } catch (error) {
+            ns.print(`ERROR: backdoor on ${hostname} failed: ${error}`);
+        } finally {
+            ns.singularity.connect("home");
+        }
+    }
+}
@@ -0,0 +1,71 @@
+/** @param {NS} ns */
+
+const BUDGET_CATEGORIES = ["servers", "hacknet", "programs"];
+const SPEND_WINDOW = 3600000; // Recent spend is reported over the last hour
+
+/**
+ * Work out this cycle's allowance for each spending category
+ * Money below the reserve plus the savings goal is never handed out. Each category may
+ * spend its configured share of the rest per cycle.
+ * @param {NS} ns
+ * @param {Object} config
+ * @returns {{floor: number, allowances: Object<string, number>}}
+ */
+export function createBudget(ns, config) {
+    const floor = config.budget.reserve + config.budget.savingsGoal;
+    const spendable = Math.max(0, ns.getServerMoneyAvailable("home") - floor);
+
+    const allowances = {};
+    for (const category of BUDGET_CATEGORIES) {
+        allowances[category] = spendable * config.budget[category];
+    }
+
+    return { floor, allowances };
+}
+
+/**
+ * Get what a category may spend right now
+ * Also capped by current money, so categories whose shares add up to more than 1 can't dip below the floor.
+ * @param {NS} ns
+ * @param {{floor: number, allowances: Object}} budget - From createBudget
+ * @param {string} category
+ * @returns {number}
+ */
+export function getAllowance(ns, budget, category) {
+    const unspent = budget.allowances[category] || 0;
+    return Math.max(0, Math.min(unspent, ns.getServerMoneyAvailable("home") - budget.floor));
+}
+
+/**
+ * Record money spent by a category
+ * @param {{allowances: Object}} budget - From createBudget (allowance reduced)
+ * @param {Array<{category: string, amount: number, timestamp: number}>} history - Spend history (appended to)
+ * @param {string} category
+ * @param {number} amount
+ */
+export function recordSpend(budget, history, category, amount) {
+    budget.allowances[category] = Math.max(0, (budget.allowances[category] || 0) - amount);
+    history.push({ category, amount, timestamp: Date.now() });
+}
+
+/**
+ * Total the last SPEND_WINDOW of spending per category
+ * Older entries are dropped from the history.
+ * @param {Array<{category: string, amount: number, timestamp: number}>} history - Spend history (pruned)
+ * @returns {Object<string, number>}
+ */
+export function summarizeSpend(history) {
+    const cutoff = Date.now() - SPEND_WINDOW;
+    const expired = history.findIndex(entry => entry.timestamp > cutoff);
+    history.splice(0, expired === -1 ? history.length : expired);
+
+    const totals = {};
+    for (const category of BUDGET_CATEGORIES) {
+        totals[category] = 0;
+    }
+    for (const entry of history) {
+        totals[entry.category] = (totals[entry.category] || 0) + entry.amount;
+    }
+
+    return totals;
+}
@@ -0,0 +1,23 @@
+/** @param {NS} ns */
+
+/**
+ * Buy the TOR router and darkweb programs, in order
+ * Stops at the first failure so later buys don't jump the queue.
+ * Usage: run hack-v1/buy-programs.js <TOR|program> [program...]
+ * @param {NS} ns
+ */
+export async function main(ns) {
+    ns.disableLog("ALL");
+
+    for (const name of ns.args.map(String)) {
+        const bought = name === "TOR" ? ns.singularity.purchaseTor() : ns.singularity.purchaseProgram(name);
+        if (!bought) {
+            ns.print(`ERROR: could not buy ${name}`);
+            return;
+        }
+
+        const what = name === "TOR" ? "TOR router" : name;
+        ns.print(`Bought ${what}`);
+        ns.tprint(`Bought ${what}`);
+    }
+}
@@ -0,0 +1,249 @@
+/** @param {NS} ns */
+
+const CONFIG_FILE = "/data/hwgw-config.txt"; // Lives on home; other hosts copy it from there
+const WORKER_EVENTS_PORT = 5; // Fixed: workers stay import-free, so they can't read the config
+
+/**
+ * Every config key with its default and limits
+ * Leaves with list: true hold an array of strings instead of a number, and leaves with
+ * boolean: true hold true or false. Leaves with a map
+ * hold an object of named entries (e.g. by hostname), each checked against that schema.
+ * Ports are only read at startup; the other values are picked up by reloadConfig.
+ */
+const CONFIG_SCHEMA = {
+    homeReserve: { default: 20, min: 0 }, // GB of home RAM kept free for system scripts
+    ports: {
+        serverList: { default: 1, min: 1, integer: true },
+        status: { default: 2, min: 1, integer: true },
+        control: { default: 3, min: 1, integer: true },
+        schedulerState: { default: 4, min: 1, integer: true },
+        heartbeat: { default: 6, min: 1, integer: true },
+        schedulerControl: { default: 7, min: 1, integer: true },
+        controlAck: { default: 9, min: 1, integer: true },
+        managerState: { default: 10, min: 1, integer: true }
+    },
+    launcher: {
+        loopDelay: { default: 1000, min: 100 }
+    },
+    manager: {
+        loopDelay: { default: 30000, min: 1000 }
+    },
+    budget: {
+        reserve: { default: 0, min: 0 }, // $ never spent
+        savingsGoal: { default: 0, min: 0 }, // $ set aside on top of the reserve, e.g. while saving for something big
+        // Share of the money above reserve + goal each category may spend per cycle
+        servers: { default: 0.25, min: 0, max: 1 },
+        hacknet: { default: 0.1, min: 0, max: 1 },
+        programs: { default: 0.5, min: 0, max: 1 }
+    },
+    backdoor: {
+        // Servers to backdoor once rooted and hackable, highest priority first. Needs Singularity; an empty list turns it off
+        targets: { default: ["CSEC", "avmnite-02h", "I.I.I.I", "run4theh111z", "fulcrumassets"], list: true }
+    },
+    hacknet: {
+        maxPayback: { default: 3600000, min: 0 } // Skip Hacknet buys taking longer than this (ms) to pay back, 0 disables Hacknet
+    },
+    scheduler: {
+        scheduleDelay: { default: 10000, min: 1000 }, // Longest wait between cycles
+        minScheduleDelay: { default: 1000, min: 100 }, // Shortest wait when events keep arriving
+        maxTargets: { default: 5, min: 1, integer: true },
+        defaultHackPercent: { default: 0.05, min: 0.001, max: 0.99 }, // Used when no optimized fraction fits the pool
+        batchSpacing: { default: 200, min: 20 }, // ms between landings of H, W1, G, W2 within a batch
+        pipelineMode: { default: true, boolean: true }, // Keep many overlapping batches in flight per target, false for one at a time
+        maxPipelineDepth: { default: 32, min: 1, integer: true }, // Max batches in flight per target
+        secDriftThreshold: { default: 1, min: 0 }, // Security above min after a weaken lands that counts as desync
+        moneyDriftThreshold: { default: 0.1, min: 0, max: 1 }, // Fraction below expected money that counts as desync
+        killOnDesync: { default: true, boolean: true }, // Kill queued hacks/grows of a desynced target
+        overdueGrace: { default: 60000, min: 0 }, // Stop tracking operations this long (ms) past their landing with no message
+        // Per-target RAM quotas as fractions of the pool, e.g. { "n00dles": { "min": 0.05, "max": 0.5 } }
+        targetQuotas: {
+            default: {},
+            map: {
+                min: { default: 0, min: 0, max: 1 },
+                max: { default: 1, min: 0, max: 1 }
+            }
+        }
+    },
+    statusReporter: {
+        delay: { default: 1000, min: 100 }
+    },
+    contracts: {
+        loopDelay: { default: 60000, min: 1000 } // Time between sweeps of the network for contracts
+    }
+};
+
+/**
+ * Load and validate the config, logging any problems
+ * Missing or invalid values fall back to their defaults.
+ * @param {NS} ns
+ * @returns {Object} Config with every key from the schema
+ */
+export function loadConfig(ns) {
+    const { config, warnings } = readConfig(ns);
+    for (const warning of warnings) {
+        ns.print(`Config: ${warning}`);
+    }
+    return config;
+}
+
+/**
+ * Re-read the config and return it if it changed
+ * Ports keep their startup values, since the other end of each port may not restart with us.
+ * @param {NS} ns
+ * @param {Object} config - Config currently in use
+ * @returns {Object} The same config if nothing changed, the new one otherwise
+ */
+export function reloadConfig(ns, config) {
+    const { config: latest, warnings } = readConfig(ns);
+    const portsChanged = JSON.stringify(latest.ports) !== JSON.stringify(config.ports);
+    latest.ports = config.ports;
+
+    if (JSON.stringify(latest) === JSON.stringify(config)) {
+        return config;
+    }
+
+    ns.print("Config reloaded");
+    for (const warning of warnings) {
+        ns.print(`Config: ${warning}`);
+    }
+    if (portsChanged) {
+        ns.print("Config: port changes take effect after a restart");
+    }
+    return latest;
+}
+
+/**
+ * Read the config file from home and check it against the schema
+ * @param {NS} ns
+ * @returns {{config: Object, warnings: string[]}}
+ */
+function readConfig(ns) {
+    const here = ns.getHostname();
+    const warnings = [];
+
+    // Work from a fresh copy of home's file, or none if it was removed
+    if (here !== "home") {
+        if (ns.fileExists(CONFIG_FILE, "home")) {
+            ns.scp(CONFIG_FILE, here, "home");
+        } else {
+            ns.rm(CONFIG_FILE, here);
+        }
+    }
+
+    let values = {};
+    const data = ns.read(CONFIG_FILE);
+    if (data) {
+        try {
+            values = JSON.parse(data);
+        } catch (error) {
+            warnings.push(`unreadable ${CONFIG_FILE}, using defaults: ${error}`);
+        }
+    }
+
+    const config = applySchema(CONFIG_SCHEMA, values, "", warnings);
+
+    // Two services sharing a port would read each other's messages
+    const ports = [...Object.values(config.ports), WORKER_EVENTS_PORT];
+    if (new Set(ports).size !== ports.length) {
+        warnings.push(`ports must all differ (port ${WORKER_EVENTS_PORT} is taken by workers), using default ports`);
+        config.ports = applySchema(CONFIG_SCHEMA.ports, {}, "ports.", warnings);
+    }
+
+    return { config, warnings };
+}
+
+/**
+ * Fill in a section of the config from its schema
+ * @param {Object} schema - Section of CONFIG_SCHEMA
+ * @param {*} values - Values from the file for this section
+ * @param {string} path - Dotted prefix for warnings
+ * @param {string[]} warnings - Problems found (appended to)
+ * @returns {Object}
+ */
+function applySchema(schema, values, path, warnings) {
+    if (typeof values !== "object" || values === null || Array.isArray(values)) {
+        warnings.push(`${path.slice(0, -1) || "config"} should be an object, using defaults`);
+        values = {};
+    }
+
+    for (const key in values) {
+        if (!(key in schema)) {
+            warnings.push(`unknown key ${path}${key}`);
+        }
+    }
+
+    const result = {};
+    for (const key in schema) {
+        const spec = schema[key];
+
+        // Nested section
+        if (!("default" in spec)) {
+            result[key] = applySchema(spec, values[key] ?? {}, `${path}${key}.`, warnings);
+            continue;
+        }
+
+        // Named entries sharing one schema
+        if (spec.map) {
+            result[key] = applyMapSchema(spec.map, values[key] ?? spec.default, `${path}${key}.`, warnings);
+            continue;
+        }
+
+        const value = values[key];
+        const problem = value === undefined ? null : checkValue(spec, value);
+        if (problem) {
+            warnings.push(`${path}${key} ${problem}, using ${JSON.stringify(spec.default)}`);
+        }
+        result[key] = value === undefined || problem ? spec.default : value;
+    }
+
+    return result;
+}
+
+/**
+ * Fill in each named entry of a map leaf from the entry schema
+ * @param {Object} schema - Schema every entry follows
+ * @param {*} values - Entries from the file
+ * @param {string} path - Dotted prefix for warnings
+ * @param {string[]} warnings - Problems found (appended to)
+ * @returns {Object}
+ */
+function applyMapSchema(schema, values, path, warnings) {
+    if (typeof values !== "object" || values === null || Array.isArray(values)) {
+        warnings.push(`${path.slice(0, -1)} should be an object, ignoring it`);
+        return {};
+    }
+
+    const result = {};
+    for (const name in values) {
+        result[name] = applySchema(schema, values[name], `${path}${name}.`, warnings);
+    }
+    return result;
+}
+
+/**
+ * Check a value against its schema entry
+ * @param {{min?: number, max?: number, integer?: boolean, list?: boolean, boolean?: boolean}} spec
+ * @param {*} value
+ * @returns {string|null} What's wrong with the value, or null if it's valid
+ */
+function checkValue(spec, value) {
+    if (spec.list) {
+        return Array.isArray(value) && value.every(item => typeof item === "string") ? null : "must be a list of strings";
+    }
+    if (spec.boolean) {
+        return typeof value === "boolean" ? null : "must be true or false";
+    }
+    if (typeof value !== "number" || !Number.isFinite(value)) {
+        return "must be a number";
+    }
+    if (spec.integer && !Number.isInteger(value)) {
+        return "must be a whole number";
+    }
+    if (spec.min !== undefined && value < spec.min) {
+        return `must be at least ${spec.min}`;
+    }
+    if (spec.max !== undefined && value > spec.max) {
+        return `must be at most ${spec.max}`;
+    }
+    return null;
+}
@@ -0,0 +1,555 @@
+/** @param {NS} ns */
+
+/**
+ * Solvers for coding contract types, keyed by the name getContractType returns
+ * Each takes the contract's data and returns the answer. They're pure, so they don't need ns
+ * and can be run outside the game.
+ */
+const SOLVERS = {
+    "Find Largest Prime Factor": largestPrimeFactor,
+    "Subarray with Maximum Sum": maxSubarraySum,
+    "Total Ways to Sum": n => countSums(n, Array.from({ length: n - 1 }, (_, i) => i + 1)),
+    "Total Ways to Sum II": ([n, parts]) => countSums(n, parts),
+    "Spiralize Matrix": spiralize,
+    "Array Jumping Game": jumps => minJumps(jumps) === null ? 0 : 1,
+    "Array Jumping Game II": jumps => minJumps(jumps) ?? 0,
+    "Merge Overlapping Intervals": mergeIntervals,
+    "Generate IP Addresses": generateIps,
+    "Algorithmic Stock Trader I": prices => maxStockProfit(1, prices),
+    "Algorithmic Stock Trader II": prices => maxStockProfit(prices.length, prices),
+    "Algorithmic Stock Trader III": prices => maxStockProfit(2, prices),
+    "Algorithmic Stock Trader IV": ([trades, prices]) => maxStockProfit(trades, prices),
+    "Minimum Path Sum in a Triangle": minTrianglePath,
+    "Unique Paths in a Grid I": ([rows, columns]) => countGridPaths(Array.from({ length: rows }, () => new Array(columns).fill(0))),
+    "Unique Paths in a Grid II": countGridPaths,
+    "Shortest Path in a Grid": shortestGridPath,
+    "Sanitize Parentheses in Expression": sanitizeParentheses,
+    "Find All Valid Math Expressions": ([digits, target]) => findExpressions(digits, target),
+    "HammingCodes: Integer to Encoded Binary": hammingEncode,
+    "HammingCodes: Encoded Binary to Integer": hammingDecode,
+    "Proper 2-Coloring of a Graph": ([vertices, edges]) => twoColor(vertices, edges),
+    "Compression I: RLE Compression": rleCompress,
+    "Compression II: LZ Decompression": lzDecompress,
+    "Compression III: LZ Compression": lzCompress,
+    "Encryption I: Caesar Cipher": ([text, shift]) => caesarEncrypt(text, shift),
+    "Encryption II: Vigenère Cipher": ([text, key]) => vigenereEncrypt(text, key)
+};
+
+/**
+ * Get every contract type with a solver
+ * @returns {string[]}
+ */
+export function getSolverTypes() {
+    return Object.keys(SOLVERS);
+}
+
+/**
+ * Get the solver for a contract type
+ * @param {string} type - From ns.codingcontract.getContractType
+ * @returns {((data: *) => *)|null} Solver, or null if the type isn't handled
+ */
+export function getSolver(type) {
+    return SOLVERS[type] || null;
+}
+
+/**
+ * @param {number} n
+ * @returns {number}
+ */
+function largestPrimeFactor(n) {
+    let factor = 2;
+    while (factor * factor <= n) {
+        if (n % factor === 0) {
+            n /= factor;
+        } else {
+            factor++;
+        }
+    }
+    return n;
+}
+
+/**
+ * @param {number[]} values
+ * @returns {number} Largest sum of a non-empty contiguous subarray
+ */
+function maxSubarraySum(values) {
+    let best = values[0];
+    let current = 0;
+    for (const value of values) {
+        current = Math.max(value, current + value);
+        best = Math.max(best, current);
+    }
+    return best;
+}
+
+/**
+ * Count the ways to write n as a sum of the given parts, ignoring order
+ * @param {number} n
+ * @param {number[]} parts
+ * @returns {number}
+ */
+function countSums(n, parts) {
+    const ways = new Array(n + 1).fill(0);
+    ways[0] = 1;
+    for (const part of parts) {
+        for (let sum = part; sum <= n; sum++) {
+            ways[sum] += ways[sum - part];
+        }
+    }
+    return ways[n];
+}
+
+/**
+ * @param {number[][]} matrix
+ * @returns {number[]} Elements in clockwise spiral order from the top left
+ */
+function spiralize(matrix) {
+    const result = [];
+    let top = 0;
+    let bottom = matrix.length - 1;
+    let left = 0;
+    let right = (matrix[0] || []).length - 1;
+
+    while (top <= bottom && left <= right) {
+        for (let c = left; c <= right; c++) result.push(matrix[top][c]);
+        top++;
+        for (let r = top; r <= bottom; r++) result.push(matrix[r][right]);
+        right--;
+        if (top <= bottom) {
+            for (let c = right; c >= left; c--) result.push(matrix[bottom][c]);
+            bottom--;
+        }
+        if (left <= right) {
+            for (let r = bottom; r >= top; r--) result.push(matrix[r][left]);
+            left++;
+        }
+    }
+    return result;
+}
+
+/**
+ * @param {number[]} jumps - Longest jump from each position
+ * @returns {number|null} Fewest jumps to reach the last position, or null if it can't be reached
+ */
+function minJumps(jumps) {
+    let count = 0;
+    let reach = 0;
+    let nextReach = 0;
+
+    for (let i = 0; i < jumps.length - 1; i++) {
+        if (i > reach) return null;
+        nextReach = Math.max(nextReach, i + jumps[i]);
+        if (i === reach && nextReach > reach) {
+            count++;
+            reach = nextReach;
+        }
+    }
+    return reach >= jumps.length - 1 ? count : null;
+}
+
+/**
+ * @param {number[][]} intervals - [start, end] pairs
+ * @returns {number[][]} Merged intervals, sorted by start
+ */
+function mergeIntervals(intervals) {
+    const sorted = intervals.map(interval => [...interval]).sort((a, b) => a[0] - b[0]);
+    const merged = [];
+    for (const interval of sorted) {
+        const last = merged[merged.length - 1];
+        if (last && interval[0] <= last[1]) {
+            last[1] = Math.max(last[1], interval[1]);
+        } else {
+            merged.push(interval);
+        }
+    }
+    return merged;
+}
+
+/**
+ * @param {string} digits
+ * @returns {string[]} Every valid IPv4 address made by adding three dots
+ */
+function generateIps(digits) {
+    digits = String(digits);
+    const isOctet = part => part.length > 0 && part.length <= 3 && (part === "0" || part[0] !== "0") && Number(part) <= 255;
+    const ips = [];
+
+    for (let a = 1; a <= 3; a++) {
+        for (let b = a + 1; b <= a + 3; b++) {
+            for (let c = b + 1; c <= b + 3 && c < digits.length; c++) {
+                const parts = [digits.slice(0, a), digits.slice(a, b), digits.slice(b, c), digits.slice(c)];
+                if (parts.every(isOctet)) {
+                    ips.push(parts.join("."));
+                }
+            }
+        }
+    }
+    return ips;
+}
+
+/**
+ * @param {number} trades - Most buy/sell pairs allowed
+ * @param {number[]} prices - Price on each day
+ * @returns {number} Best profit from non-overlapping trades
+ */
+function maxStockProfit(trades, prices) {
+    // holding[t]/free[t]: best cash after starting t trades, with or without a share
+    const holding = new Array(trades + 1).fill(-Infinity);
+    const free = new Array(trades + 1).fill(0);
+
+    for (const price of prices) {
+        for (let t = trades; t >= 1; t--) {
+            free[t] = Math.max(free[t], holding[t] + price);
+            holding[t] = Math.max(holding[t], free[t - 1] - price);
+        }
+    }
+    return Math.max(0, ...free);
+}
+
+/**
+ * @param {number[][]} triangle
+ * @returns {number} Smallest sum on a path from the top to the bottom row
+ */
+function minTrianglePath(triangle) {
+    let best = [...triangle[triangle.length - 1]];
+    for (let row = triangle.length - 2; row >= 0; row--) {
+        best = triangle[row].map((value, i) => value + Math.min(best[i], best[i + 1]));
+    }
+    return best[0];
+}
+
+/**
+ * @param {number[][]} grid - 1 marks an obstacle
+ * @returns {number} Paths from the top left to the bottom right moving only right or down
+ */
+function countGridPaths(grid) {
+    const columns = grid[0].length;
+    const paths = new Array(columns).fill(0);
+    paths[0] = 1;
+
+    for (const row of grid) {
+        for (let c = 0; c < columns; c++) {
+            if (row[c] === 1) {
+                paths[c] = 0;
+            } else if (c > 0) {
+                paths[c] += paths[c - 1];
+            }
+        }
+    }
+    return paths[columns - 1];
+}
+
+/**
+ * @param {number[][]} grid - 1 marks a wall
+ * @returns {string} Moves (U, D, L, R) on a shortest path from the top left to the bottom right, "" if there is none
+ */
+function shortestGridPath(grid) {
+    const rows = grid.length;
+    const columns = grid[0].length;
+    const moves = [["U", -1, 0], ["D", 1, 0], ["L", 0, -1], ["R", 0, 1]];
+    const paths = new Map([["0,0", ""]]);
+    const queue = [[0, 0]];
+
+    if (grid[0][0] === 1) return "";
+
+    while (queue.length > 0) {
+        const [r, c] = queue.shift();
+        const path = paths.get(`${r},${c}`);
+        if (r === rows - 1 && c === columns - 1) return path;
+
+        for (const [move, dr, dc] of moves) {
+            const nr = r + dr;
+            const nc = c + dc;
+            const key = `${nr},${nc}`;
+            if (nr < 0 || nr >= rows || nc < 0 || nc >= columns || grid[nr][nc] === 1 || paths.has(key)) continue;
+
+            paths.set(key, path + move);
+            queue.push([nr, nc]);
+        }
+    }
+    return "";
+}
+
+/**
+ * @param {string} expression
+ * @returns {string[]} Every valid string left after removing as few parentheses as possible
+ */
+function sanitizeParentheses(expression) {
+    const isValid = text => {
+        let depth = 0;
+        for (const char of text) {
+            if (char === "(") depth++;
+            if (char === ")" && --depth < 0) return false;
+        }
+        return depth === 0;
+    };
+
+    let level = new Set([expression]);
+    while (level.size > 0) {
+        const valid = [...level].filter(isValid);
+        if (valid.length > 0) return valid;
+
+        const next = new Set();
+        for (const text of level) {
+            for (let i = 0; i < text.length; i++) {
+                if (text[i] === "(" || text[i] === ")") {
+                    next.add(text.slice(0, i) + text.slice(i + 1));
+                }
+            }
+        }
+        level = next;
+    }
+    return [""];
+}
+
+/**
+ * @param {string} digits
+ * @param {number} target
+ * @returns {string[]} Every way of putting +, - or * between the digits that evaluates to target
+ */
+function findExpressions(digits, target) {
+    const results = [];
+
+    // value: total so far, last: the last product term, kept apart so * binds tighter
+    const search = (index, expression, value, last) => {
+        if (index === digits.length) {
+            if (value === target) results.push(expression);
+            return;
+        }
+
+        for (let end = index + 1; end <= digits.length; end++) {
+            const operand = digits.slice(index, end);
+            if (operand.length > 1 && operand[0] === "0") break;
+            const number = Number(operand);
+
+            if (index === 0) {
+                search(end, operand, number, number);
+                continue;
+            }
+            search(end, `${expression}+${operand}`, value + number, number);
+            search(end, `${expression}-${operand}`, value - number, -number);
+            search(end, `${expression}*${operand}`, value - last + last * number, last * number);
+        }
+    };
+
+    search(0, "", 0, 0);
+    return results;
+}
+
+/**
+ * Encode a number as an extended Hamming code, data bits most significant first
+ * Parity bits sit at the power-of-two positions and position 0 holds the overall parity.
+ * @param {number} value
+ * @returns {string}
+ */
+function hammingEncode(value) {
+    const data = value.toString(2).split("").map(Number);
+    const bits = [0];
+
+    for (let i = 1, next = 0; next < data.length; i++) {
+        bits[i] = (i & (i - 1)) === 0 ? 0 : data[next++];
+    }
+
+    const syndrome = bits.reduce((acc, bit, i) => bit ? acc ^ i : acc, 0);
+    for (let p = 1; p < bits.length; p *= 2) {
+        bits[p] = syndrome & p ? 1 : 0;
+    }
+    bits[0] = bits.reduce((sum, bit) => sum + bit, 0) % 2;
+
+    return bits.join("");
+}
+
+/**
+ * Decode an extended Hamming code, correcting at most one flipped bit
+ * @param {string} encoded
+ * @returns {number}
+ */
+function hammingDecode(encoded) {
+    const bits = encoded.split("").map(Number);
+
+    const syndrome = bits.reduce((acc, bit, i) => bit ? acc ^ i : acc, 0);
+    if (syndrome > 0) {
+        bits[syndrome] ^= 1;
+    }
+
+    const data = bits.filter((_, i) => i > 0 && (i & (i - 1)) !== 0);
+    return parseInt(data.join(""), 2);
+}
+
+/**
+ * @param {number} vertices
+ * @param {number[][]} edges
+ * @returns {number[]} A color (0 or 1) per vertex with no edge joining two of the same color, [] if impossible
+ */
+function twoColor(vertices, edges) {
+    const neighbors = Array.from({ length: vertices }, () => []);
+    for (const [a, b] of edges) {
+        neighbors[a].push(b);
+        neighbors[b].push(a);
+    }
+
+    const colors = new Array(vertices).fill(-1);
+    for (let start = 0; start < vertices; start++) {
+        if (colors[start] !== -1) continue;
+
+        colors[start] = 0;
+        const queue = [start];
+        while (queue.length > 0) {
+            const vertex = queue.shift();
+            for (const neighbor of neighbors[vertex]) {
+                if (colors[neighbor] === -1) {
+                    colors[neighbor] = 1 - colors[vertex];
+                    queue.push(neighbor);
+                } else if (colors[neighbor] === colors[vertex]) {
+                    return [];
+                }
+            }
+        }
+    }
+    return colors;
+}
+
+/**
+ * @param {string} text
+ * @returns {string} Runs written as count then character, at most 9 per run
+ */
+function rleCompress(text) {
+    let result = "";
+    for (let i = 0; i < text.length;) {
+        let run = 1;
+        while (run < 9 && text[i + run] === text[i]) run++;
+        result += `${run}${text[i]}`;
+        i += run;
+    }
+    return result;
+}
+
+/**
+ * Decompress LZ chunks, which alternate between literals and back-references
+ * @param {string} compressed
+ * @returns {string}
+ */
+function lzDecompress(compressed) {
+    let plain = "";
+    let literal = true;
+
+    for (let i = 0; i < compressed.length;) {
+        const length = Number(compressed[i]);
+        if (literal) {
+            plain += compressed.slice(i + 1, i + 1 + length);
+            i += 1 + length;
+        } else if (length === 0) {
+            i++;
+        } else {
+            const offset = Number(compressed[i + 1]);
+            for (let j = 0; j < length; j++) {
+                plain += plain[plain.length - offset];
+            }
+            i += 2;
+        }
+        literal = !literal;
+    }
+    return plain;
+}
+
+/**
+ * Find a shortest LZ encoding of a string
+ * Walks the string keeping the shortest encoding for each open chunk: state[0][length] for a
+ * literal, state[offset][length] for a back-reference.
+ * @param {string} plain
+ * @returns {string}
+ */
+function lzCompress(plain) {
+    if (plain.length === 0) return "";
+
+    const emptyState = () => Array.from({ length: 10 }, () => new Array(10).fill(null));
+    const set = (state, i, j, encoded) => {
+        if (state[i][j] === null || encoded.length < state[i][j].length) {
+            state[i][j] = encoded;
+        }
+    };
+
+    let state = emptyState();
+    state[0][1] = "";
+
+    for (let i = 1; i < plain.length; i++) {
+        const next = emptyState();
+        const char = plain[i];
+
+        for (let length = 1; length <= 9; length++) {
+            const encoded = state[0][length];
+            if (encoded === null) continue;
+
+            if (length < 9) {
+                set(next, 0, length + 1, encoded);
+            } else {
+                set(next, 0, 1, `${encoded}9${plain.substring(i - 9, i)}0`);
+            }
+            for (let offset = 1; offset <= Math.min(9, i); offset++) {
+                if (plain[i - offset] === char) {
+                    set(next, offset, 1, `${encoded}${length}${plain.substring(i - length, i)}`);
+                }
+            }
+        }
+
+        for (let offset = 1; offset <= 9; offset++) {
+            for (let length = 1; length <= 9; length++) {
+                const encoded = state[offset][length];
+                if (encoded === null) continue;
+
+                if (plain[i - offset] === char) {
+                    if (length < 9) {
+                        set(next, offset, length + 1, encoded);
+                    } else {
+                        set(next, offset, 1, `${encoded}9${offset}0`);
+                    }
+                }
+                set(next, 0, 1, `${encoded}${length}${offset}`);
+                for (let newOffset = 1; newOffset <= Math.min(9, i); newOffset++) {
+                    if (plain[i - newOffset] === char) {
+                        set(next, newOffset, 1, `${encoded}${length}${offset}0`);
+                    }
+                }
+            }
+        }
+
+        state = next;
+    }
+
+    let best = null;
+    for (let length = 1; length <= 9; length++) {
+        if (state[0][length] === null) continue;
+        const encoded = `${state[0][length]}${length}${plain.substring(plain.length - length)}`;
+        if (best === null || encoded.length < best.length) best = encoded;
+    }
+    for (let offset = 1; offset <= 9; offset++) {
+        for (let length = 1; length <= 9; length++) {
+            if (state[offset][length] === null) continue;
+            const encoded = `${state[offset][length]}${length}${offset}`;
+            if (best === null || encoded.length < best.length) best = encoded;
+        }
+    }
+    return best;
+}
+
+/**
+ * @param {string} text - Uppercase letters and spaces
+ * @param {number} shift - Left shift
+ * @returns {string}
+ */
+function caesarEncrypt(text, shift) {
+    return text.replace(/[A-Z]/g, char => String.fromCharCode((char.charCodeAt(0) - 65 - shift % 26 + 26) % 26 + 65));
+}
+
+/**
+ * @param {string} text - Uppercase letters
+ * @param {string} key - Uppercase letters, repeated to the length of the text
+ * @returns {string}
+ */
+function vigenereEncrypt(text, key) {
+    return text.split("").map((char, i) => {
+        if (char < "A" || char > "Z") return char;
+        const shift = key.charCodeAt(i % key.length) - 65;
+        return String.fromCharCode((char.charCodeAt(0) - 65 + shift) % 26 + 65);
+    }).join("");
+}
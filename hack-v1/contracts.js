@@ -0,0 +1,92 @@
+/** @param {NS} ns */
+
+import { getAllServers } from "/hack-v1/network.js";
+import { getSolver } from "/hack-v1/contract-solvers.js";
+import { sendHeartbeat } from "/hack-v1/heartbeat.js";
+import { loadConfig, reloadConfig } from "/hack-v1/config.js";
+
+const CONTRACT_LOG = "/data/contracts-log.txt"; // Kept on home, appended to across restarts
+
+/** @param {NS} ns */
+export async function main(ns) {
+    ns.disableLog("ALL");
+    ns.print("Contract solver started");
+
+    let config = loadConfig(ns);
+    let iteration = 0;
+
+    // Contracts not to touch again: unknown types, and ones answered wrong (each wrong answer uses up a try)
+    const skipped = new Set();
+    // Unknown types already reported on the terminal
+    const unknownTypes = new Set();
+
+    // Carry on from home's log rather than overwriting it
+    const here = ns.getHostname();
+    if (here !== "home" && ns.fileExists(CONTRACT_LOG, "home")) {
+        ns.scp(CONTRACT_LOG, here, "home");
+    }
+
+    while (true) {
+        try {
+            iteration++;
+            config = reloadConfig(ns, config);
+
+            for (const host of getAllServers(ns)) {
+                for (const file of ns.ls(host, ".cct")) {
+                    const key = `${host}:${file}`;
+                    if (skipped.has(key)) continue;
+
+                    const type = ns.codingcontract.getContractType(file, host);
+                    const solver = getSolver(type);
+                    if (!solver) {
+                        skipped.add(key);
+                        logContract(ns, `Skipped ${file} on ${host}: no solver for "${type}"`);
+                        if (!unknownTypes.has(type)) {
+                            unknownTypes.add(type);
+                            ns.tprint(`Contracts: no solver for "${type}" (${file} on ${host})`);
+                        }
+                        continue;
+                    }
+
+                    try {
+                        const answer = solver(ns.codingcontract.getData(file, host));
+                        const reward = ns.codingcontract.attempt(answer, file, host);
+                        if (reward) {
+                            logContract(ns, `Solved ${file} on ${host} (${type}): ${reward}`);
+                            ns.tprint(`Contracts: ${reward}`);
+                        } else {
+                            skipped.add(key);
+                            logContract(ns, `FAILED ${file} on ${host} (${type}), answered ${JSON.stringify(answer)}`);
+                        }
+                    } catch (error) {
+                        skipped.add(key);
+                        logContract(ns, `ERROR solving ${file} on ${host} (${type}): ${error}`);
+                    }
+                }
+            }
+
+            await sendHeartbeat(ns, config.ports.heartbeat, "contracts", iteration);
+            await ns.sleep(config.contracts.loopDelay);
+
+        } catch (error) {
+            ns.print(`ERROR: ${error}`);
+            await sendHeartbeat(ns, config.ports.heartbeat, "contracts", iteration, error);
+            await ns.sleep(config.contracts.loopDelay);
+        }
+    }
+}
+
+/**
+ * Log a contract result to the service log and CONTRACT_LOG on home
+ * @param {NS} ns
+ * @param {string} message
+ */
+function logContract(ns, message) {
+    ns.print(message);
+    ns.write(CONTRACT_LOG, `${new Date().toISOString()} ${message}\n`, "a");
+
+    const here = ns.getHostname();
+    if (here !== "home") {
+        ns.scp(CONTRACT_LOG, "home", here);
+    }
+}
@@ -0,0 +1,100 @@
+/** @param {NS} ns */
+
+import { loadConfig } from "/hack-v1/config.js";
+
+const ACK_TIMEOUT = 20000; // Give up waiting for an acknowledgement after this long
+const POLL_DELAY = 200;
+
+const USAGE = [
+    "Usage: run hack-v1/ctl.js <command>",
+    "  pause                          Stop launching new operations",
+    "  resume                         Start launching operations again",
+    "  target add|remove|auto <host>  Pin, exclude, or release a target",
+    "  set hackPercent <0-1|auto>     Fix the hack fraction for every target",
+    "  set homeReserve <GB|default>   RAM kept free on home",
+    "  status                         Show the scheduler's settings"
+];
+
+/**
+ * Send a command to the running system through the launcher and print the reply
+ * @param {NS} ns
+ */
+export async function main(ns) {
+    const [command, ...args] = ns.args.map(String);
+
+    if (!command || command === "help") {
+        USAGE.forEach(line => ns.tprint(line));
+        return;
+    }
+
+    const { ports } = loadConfig(ns);
+    const id = `${ns.pid}-${Date.now()}`;
+    await ns.writePort(ports.control, JSON.stringify({ id, command, args, timestamp: Date.now() }));
+
+    const ack = await waitForAck(ns, ports.controlAck, id);
+    if (!ack) {
+        ns.tprint(`✗ No reply within ${ACK_TIMEOUT / 1000}s - is the launcher running?`);
+        return;
+    }
+
+    ns.tprint(`${ack.ok ? "✓" : "✗"} [${ack.service}] ${ack.message}`);
+    if (ack.data) {
+        printStatus(ns, ack.data);
+    }
+}
+
+/**
+ * Wait for the acknowledgement of a command
+ * Acknowledgements meant for other ctl.js runs are left alone unless they've been abandoned.
+ * @param {NS} ns
+ * @param {number} port - Acknowledgement port
+ * @param {string} id - Command ID
+ * @returns {Promise<Object|null>} Acknowledgement, or null on timeout
+ */
+async function waitForAck(ns, port, id) {
+    const deadline = Date.now() + ACK_TIMEOUT;
+
+    while (Date.now() < deadline) {
+        const data = ns.peek(port);
+        if (data !== "NULL PORT DATA") {
+            let ack = null;
+            try {
+                ack = JSON.parse(data);
+            } catch (error) {
+                // Unreadable, drop it below
+            }
+
+            if (ack && ack.id === id) {
+                ns.readPort(port);
+                return ack;
+            }
+            if (!ack || Date.now() - ack.timestamp > ACK_TIMEOUT) {
+                ns.readPort(port);
+                continue;
+            }
+        }
+
+        await ns.sleep(POLL_DELAY);
+    }
+
+    return null;
+}
+
+/**
+ * Print the data returned by the status command
+ * @param {NS} ns
+ * @param {{controls: Object, operations: number, batches: number, targetPhases: Object}} data
+ */
+function printStatus(ns, data) {
+    const { controls } = data;
+    ns.tprint(`  Paused: ${controls.paused ? "yes" : "no"}`);
+    ns.tprint(`  Hack fraction: ${controls.hackPercent !== null ? `${(controls.hackPercent * 100).toFixed(1)}% (fixed)` : "optimized per target"}`);
+    ns.tprint(`  Home reserve: ${controls.homeReserve !== null ? `${controls.homeReserve}GB` : "from config"}`);
+    ns.tprint(`  Pinned targets: ${controls.pinnedTargets.join(", ") || "none"}`);
+    ns.tprint(`  Excluded targets: ${controls.excludedTargets.join(", ") || "none"}`);
+    ns.tprint(`  In flight: ${data.operations} operations, ${data.batches} batches`);
+
+    for (const target in data.targetPhases || {}) {
+        ns.tprint(`    ${target}: ${data.targetPhases[target]}`);
+    }
+}
@@ -0,0 +1,114 @@
+/** @param {NS} ns */
+
+// Hacknet node production at base multipliers: level * 1.5 * 1.035^(ram - 1) * (cores + 5) / 6
+const MONEY_PER_LEVEL = 1.5;
+const RAM_FACTOR = 1.035;
+
+/**
+ * Find the Hacknet purchase or upgrade that pays for itself fastest
+ * Hacknet servers (which make hashes, not money) aren't handled.
+ * @param {NS} ns
+ * @param {number} budget - Most the investment may cost
+ * @param {number} maxPayback - Skip anything taking longer than this (ms) to pay back
+ * @returns {{type: string, index: number, cost: number, gain: number, payback: number}|null} Best option, or null if none qualifies
+ */
+export function planHacknetInvestment(ns, budget, maxPayback) {
+    if (maxPayback <= 0 || ns.hacknet.hashCapacity() > 0) {
+        return null;
+    }
+
+    const mult = getProductionMultiplier(ns);
+    const options = [];
+    const count = ns.hacknet.numNodes();
+
+    if (count < ns.hacknet.maxNumNodes()) {
+        options.push({ type: "node", index: count, cost: ns.hacknet.getPurchaseNodeCost(), gain: getBaseProduction(1, 1, 1) * mult });
+    }
+
+    for (let i = 0; i < count; i++) {
+        const { level, ram, cores } = ns.hacknet.getNodeStats(i);
+        const current = getBaseProduction(level, ram, cores);
+
+        options.push({ type: "level", index: i, cost: ns.hacknet.getLevelUpgradeCost(i, 1), gain: (getBaseProduction(level + 1, ram, cores) - current) * mult });
+        options.push({ type: "ram", index: i, cost: ns.hacknet.getRamUpgradeCost(i, 1), gain: (getBaseProduction(level, ram * 2, cores) - current) * mult });
+        options.push({ type: "cores", index: i, cost: ns.hacknet.getCoreUpgradeCost(i, 1), gain: (getBaseProduction(level, ram, cores + 1) - current) * mult });
+    }
+
+    let best = null;
+    for (const option of options) {
+        // Maxed-out upgrades cost Infinity
+        if (!Number.isFinite(option.cost) || option.cost > budget || option.gain <= 0) continue;
+
+        option.payback = option.cost / option.gain * 1000;
+        if (option.payback <= maxPayback && (!best || option.payback < best.payback)) {
+            best = option;
+        }
+    }
+
+    return best;
+}
+
+/**
+ * Buy a planned Hacknet investment
+ * @param {NS} ns
+ * @param {{type: string, index: number}} option - From planHacknetInvestment
+ * @returns {boolean} Success
+ */
+export function buyHacknetInvestment(ns, option) {
+    switch (option.type) {
+        case "node":
+            return ns.hacknet.purchaseNode() !== -1;
+        case "level":
+            return ns.hacknet.upgradeLevel(option.index, 1);
+        case "ram":
+            return ns.hacknet.upgradeRam(option.index, 1);
+        case "cores":
+            return ns.hacknet.upgradeCore(option.index, 1);
+        default:
+            return false;
+    }
+}
+
+/**
+ * Summarize the Hacknet for the status display
+ * @param {NS} ns
+ * @returns {{nodes: number, production: number, totalProduction: number}}
+ */
+export function getHacknetSummary(ns) {
+    let production = 0;
+    let totalProduction = 0;
+    for (let i = 0; i < ns.hacknet.numNodes(); i++) {
+        const stats = ns.hacknet.getNodeStats(i);
+        production += stats.production;
+        totalProduction += stats.totalProduction;
+    }
+    return { nodes: ns.hacknet.numNodes(), production, totalProduction };
+}
+
+/**
+ * Get a node's production before multipliers
+ * @param {number} level
+ * @param {number} ram
+ * @param {number} cores
+ * @returns {number} $/sec
+ */
+function getBaseProduction(level, ram, cores) {
+    return level * MONEY_PER_LEVEL * Math.pow(RAM_FACTOR, ram - 1) * (cores + 5) / 6;
+}
+
+/**
+ * Work out the player's Hacknet production multiplier from the nodes already owned
+ * Assumes no multiplier until the first node is bought.
+ * @param {NS} ns
+ * @returns {number}
+ */
+function getProductionMultiplier(ns) {
+    for (let i = 0; i < ns.hacknet.numNodes(); i++) {
+        const { level, ram, cores, production } = ns.hacknet.getNodeStats(i);
+        const base = getBaseProduction(level, ram, cores);
+        if (base > 0 && production > 0) {
+            return production / base;
+        }
+    }
+    return 1;
+}
@@ -0,0 +1,32 @@
+/** @param {NS} ns */
+
+// Most recent error by PID, since scripts importing this module may share one copy of it
+const lastErrors = new Map();
+
+/**
+ * Publish a service heartbeat for the launcher's liveness checks
+ * Send one after every healthy iteration, and one with the error when an iteration fails.
+ * The most recent error and its time are repeated in every heartbeat until a newer one replaces them.
+ * @param {NS} ns
+ * @param {number} port - Heartbeat port from the config
+ * @param {string} service - Service name from the launcher's service table
+ * @param {number} iteration - Loop iteration count
+ * @param {*} [error=null] - Error from a failed iteration
+ */
+export async function sendHeartbeat(ns, port, service, iteration, error = null) {
+    const now = Date.now();
+    if (error !== null) {
+        lastErrors.set(ns.pid, { message: String(error), at: now });
+    }
+    const last = lastErrors.get(ns.pid) || null;
+
+    await ns.writePort(port, JSON.stringify({
+        service,
+        pid: ns.pid,
+        iteration,
+        ok: error === null,
+        lastError: last ? last.message : null,
+        lastErrorAt: last ? last.at : null,
+        timestamp: now
+    }));
+}
@@ -2,12 +2,70 @@
 
 // NO IMPORTS - Keep this script lightweight!
 
-const PORT_STATUS = 2;
-const PORT_CONTROL = 3; // Control port for shutdown signal
-const LOOP_DELAY = 1000; // 1 second
+const CONFIG_FILE = "/data/hwgw-config.txt"; // Shared config, validated by config.js
+const BACKOFF_BASE = 2000; // First restart delay after a failure
+const BACKOFF_MAX = 120000; // Longest restart delay
+const BACKOFF_RESET = 60000; // Uptime after which a service's failures are forgiven
+const DRAIN_TIMEOUT = 1800000; // Give up waiting for weakens to land after 30 minutes
+const STALE_DELAY_MULTIPLE = 4; // A service may go this many of its configured loop delays without a heartbeat
+
+/**
+ * Config values the launcher uses, overridden from CONFIG_FILE by loadSettings
+ * Read inline rather than through config.js to keep the launcher import-free. These are
+ * only fallbacks for keys the file doesn't set; config.js owns the defaults and limits.
+ */
+const settings = {
+    ports: {
+        status: 2, // Status from status-reporter
+        control: 3, // Shutdown signal and ctl.js commands
+        heartbeat: 6, // Service heartbeats
+        schedulerControl: 7, // Commands routed to the scheduler
+        controlAck: 9, // Command acknowledgements (read by ctl.js)
+        managerState: 10 // Purchased server state from the manager
+    },
+    loopDelay: 1000,
+    homeReserve: 20, // GB of home RAM "spare" services must leave free
+    serviceDelays: {} // Configured loop delay by service name, where the config sets one
+};
+
+/**
+ * Long-running services the launcher keeps alive, in start order
+ *   ram - GB needed, or null to measure with getScriptRam
+ *   placement - "remote" prefers any rooted non-home server, "home" runs on home only,
+ *               "spare" is like remote but only uses home if settings.homeReserve is still free after it
+ *   restart - "always" restarts whenever it stops, "never" runs it once
+ *   dependsOn - Services that must be running before this one starts
+ *   staleAfter - ms without a healthy heartbeat before the service counts as hung and is restarted,
+ *                raised to STALE_DELAY_MULTIPLE loop delays if the config slows the service down
+ *   delaySetting - Config key ("section.key") of the service's loop delay
+ *   controlPort - Name of the port in settings.ports the service reads routed commands from, or null if it takes none
+ */
+const SERVICES = [
+    { name: "manager", script: "/hack-v1/manager.js", ram: null, placement: "remote", restart: "always", dependsOn: [], staleAfter: 120000, delaySetting: "manager.loopDelay", controlPort: null },
+    { name: "scheduler", script: "/hack-v1/scheduler.js", ram: null, placement: "remote", restart: "always", dependsOn: ["manager"], staleAfter: 60000, delaySetting: "scheduler.scheduleDelay", controlPort: "schedulerControl" },
+    { name: "status-reporter", script: "/hack-v1/status-reporter.js", ram: null, placement: "remote", restart: "always", dependsOn: ["scheduler"], staleAfter: 30000, delaySetting: "statusReporter.delay", controlPort: null },
+    { name: "contracts", script: "/hack-v1/contracts.js", ram: null, placement: "spare", restart: "always", dependsOn: [], staleAfter: 300000, delaySetting: "contracts.loopDelay", controlPort: null }
+];
+
+// Service that handles each ctl.js command
+const COMMAND_ROUTES = {
+    pause: "scheduler",
+    resume: "scheduler",
+    target: "scheduler",
+    set: "scheduler",
+    status: "scheduler",
+    drain: "scheduler"
+};
+
+const WORKER_SCRIPTS = [
+    "/hack-v1/workers/hack.js",
+    "/hack-v1/workers/grow.js",
+    "/hack-v1/workers/weaken.js"
+];
 
 /**
  * Deploy all system scripts to a target server
+ * The list is every service script and whatever they import.
  * @param {NS} ns
  * @param {string} targetHost
  * @returns {Promise<boolean>} Success
@@ -17,14 +75,7 @@ async function deployAllScripts(ns, targetHost) {
         return true; // Already there
     }
 
-    const scripts = [
-        "/hack-v1/manager.js",
-        "/hack-v1/scheduler.js",
-        "/hack-v1/status-reporter.js",
-        "/hack-v1/analyzer.js",
-        "/hack-v1/server-manager.js",
-        "/hack-v1/deploy.js"
-    ];
+    const scripts = getScriptsWithImports(ns, SERVICES.map(s => s.script));
 
     try {
         ns.print(`  Cleaning old files on ${targetHost}...`);
@@ -49,6 +100,29 @@ async function deployAllScripts(ns, targetHost) {
     }
 }
 
+/**
+ * Follow the imports of scripts on home
+ * @param {NS} ns
+ * @param {string[]} scripts - Absolute paths to start from
+ * @returns {string[]} The scripts and every module they import, directly or not
+ */
+function getScriptsWithImports(ns, scripts) {
+    const found = new Set(scripts);
+    const queue = [...scripts];
+
+    while (queue.length > 0) {
+        const source = ns.read(queue.shift());
+        for (const match of source.matchAll(/^import\s[^;]*?from\s+["']([^"']+)["']/gm)) {
+            if (!found.has(match[1])) {
+                found.add(match[1]);
+                queue.push(match[1]);
+            }
+        }
+    }
+
+    return [...found];
+}
+
 /** @param {NS} ns */
 export async function main(ns) {
     ns.disableLog("ALL");
@@ -56,18 +130,12 @@ export async function main(ns) {
     ns.ui.openTail();
 
     ns.tprint("=== HWGW System Launcher ===");
+    loadSettings(ns, true);
     ns.tprint("Cleaning up any existing processes...");
 
     // Clean up old processes before starting
     const allServers = getAllServersSimple(ns);
-    const systemScripts = [
-        "/hack-v1/manager.js",
-        "/hack-v1/scheduler.js",
-        "/hack-v1/status-reporter.js",
-        "/hack-v1/workers/hack.js",
-        "/hack-v1/workers/grow.js",
-        "/hack-v1/workers/weaken.js"
-    ];
+    const systemScripts = [...SERVICES.map(s => s.script), ...WORKER_SCRIPTS];
 
     let killedCount = 0;
     for (const hostname of allServers) {
@@ -87,16 +155,8 @@ export async function main(ns) {
     ns.tprint("Checking system state...");
 
     // Check script files exist
-    const requiredFiles = [
-        "/hack-v1/manager.js",
-        "/hack-v1/scheduler.js",
-        "/hack-v1/workers/hack.js",
-        "/hack-v1/workers/grow.js",
-        "/hack-v1/workers/weaken.js"
-    ];
-
     let missingFiles = [];
-    for (const file of requiredFiles) {
+    for (const file of systemScripts) {
         if (!ns.fileExists(file)) {
             missingFiles.push(file);
         }
@@ -113,8 +173,9 @@ export async function main(ns) {
 
     // Show script RAM costs
     ns.tprint("Script RAM costs:");
-    ns.tprint(`  manager.js: ${ns.getScriptRam("/hack-v1/manager.js")}GB`);
-    ns.tprint(`  scheduler.js: ${ns.getScriptRam("/hack-v1/scheduler.js")}GB`);
+    for (const service of SERVICES) {
+        ns.tprint(`  ${service.name}: ${getServiceRam(ns, service)}GB`);
+    }
     ns.tprint(`  launcher.js: ${ns.getScriptRam("/hack-v1/launcher.js")}GB`);
     ns.tprint("");
 
@@ -124,201 +185,65 @@ export async function main(ns) {
     ns.tprint("Starting system...");
     ns.tprint("");
 
-    let managerPid = 0;
-    let schedulerPid = 0;
-    let statusReporterPid = 0;
-    let managerHost = "home";
-    let schedulerHost = "home";
-    let statusReporterHost = "home";
-    let lastDeployedServer = "";
+    // Supervisor state per service
+    const services = {};
+    for (const service of SERVICES) {
+        services[service.name] = {
+            pid: 0, host: "", failures: 0, nextAttempt: 0, startedAt: 0, starts: 0, done: false,
+            heartbeat: null, lastOk: 0, lastRestartReason: "", lastRestartAt: 0
+        };
+    }
+    const deployedHosts = new Set(["home"]);
     let initMessageShown = false;
+    let drainStartedAt = 0;
 
     while (true) {
         try {
-            // 0. Check for shutdown signal
-            const controlSignal = ns.peek(PORT_CONTROL);
-            if (controlSignal === "SHUTDOWN") {
-                ns.readPort(PORT_CONTROL); // Clear signal
-                killAllSystemProcesses(ns, managerPid, schedulerPid, statusReporterPid);
+            loadSettings(ns, false);
+
+            // 0. Route commands, stopping at a shutdown signal
+            const signal = await handleControlMessages(ns, services);
+            if (signal === "now") {
+                killAllSystemProcesses(ns, services);
                 ns.tprint("System shutdown initiated");
                 return; // Exit launcher
             }
-
-            // 1. Check if manager is running, start if not
-            if (!ns.isRunning(managerPid)) {
-                ns.print("--- Starting Manager ---");
-                const result = findServerForScript(ns, "/hack-v1/manager.js");
-
-                if (!result) {
-                    ns.print("Cannot start manager - see errors above");
-                    ns.print("");
-                } else {
-                    managerHost = result.hostname;
-
-                    // Deploy all system scripts to target server (if not already deployed)
-                    if (managerHost !== lastDeployedServer) {
-                        ns.print(`Deploying system scripts to ${managerHost}...`);
-                        const deployed = await deployAllScripts(ns, managerHost);
-
-                        if (!deployed) {
-                            ns.print(`✗ Failed to deploy to ${managerHost}`);
-                            ns.print("");
-                        } else {
-                            lastDeployedServer = managerHost;
-                            ns.print(`✓ Scripts deployed to ${managerHost}`);
-
-                            // Now try to run it
-                            managerPid = ns.exec("/hack-v1/manager.js", managerHost, 1);
-
-                            if (managerPid > 0) {
-                                ns.print(`✓ Manager started on ${managerHost} (PID: ${managerPid})`);
-                                ns.tprint(`✓ Manager deployed to ${managerHost}`);
-                            } else {
-                                ns.print(`✗ exec() still returned 0 for ${managerHost}`);
-                                ns.print(`  Script deployed but failed to run`);
-                                ns.print(`  RAM needed: ${result.scriptRam}GB`);
-                                ns.print(`  RAM free: ${result.freeRam}GB`);
-                                ns.print(`  Check RAM availability and permissions`);
-                            }
-                            ns.print("");
-                        }
-                    } else {
-                        ns.print(`Using existing deployment on ${managerHost}`);
-
-                        // Try to run it
-                        managerPid = ns.exec("/hack-v1/manager.js", managerHost, 1);
-
-                        if (managerPid > 0) {
-                            ns.print(`✓ Manager started on ${managerHost} (PID: ${managerPid})`);
-                            ns.tprint(`✓ Manager deployed to ${managerHost}`);
-                        } else {
-                            ns.print(`✗ exec() returned 0 for ${managerHost}`);
-                            ns.print(`  RAM needed: ${result.scriptRam}GB`);
-                            ns.print(`  RAM free: ${result.freeRam}GB`);
-                        }
-                        ns.print("");
-                    }
-                }
+            if (signal === "drain" && drainStartedAt === 0) {
+                drainStartedAt = Date.now();
+                ns.tprint("Draining: waiting for in-flight weakens to land before shutting down");
             }
 
-            // 2. Check if scheduler is running, start if not
-            if (!ns.isRunning(schedulerPid)) {
-                ns.print("--- Starting Scheduler ---");
-                const result = findServerForScript(ns, "/hack-v1/scheduler.js");
-
-                if (!result) {
-                    ns.print("Cannot start scheduler - see errors above");
-                    ns.print("");
-                } else {
-                    schedulerHost = result.hostname;
-
-                    // Deploy all system scripts to target server (if not already deployed)
-                    if (schedulerHost !== lastDeployedServer) {
-                        ns.print(`Deploying system scripts to ${schedulerHost}...`);
-                        const deployed = await deployAllScripts(ns, schedulerHost);
-
-                        if (!deployed) {
-                            ns.print(`✗ Failed to deploy to ${schedulerHost}`);
-                            ns.print("");
-                        } else {
-                            lastDeployedServer = schedulerHost;
-                            ns.print(`✓ Scripts deployed to ${schedulerHost}`);
-
-                            // Now try to run it
-                            schedulerPid = ns.exec("/hack-v1/scheduler.js", schedulerHost, 1);
-
-                            if (schedulerPid > 0) {
-                                ns.print(`✓ Scheduler started on ${schedulerHost} (PID: ${schedulerPid})`);
-                                ns.tprint(`✓ Scheduler deployed to ${schedulerHost}`);
-                            } else {
-                                ns.print(`✗ exec() still returned 0 for ${schedulerHost}`);
-                                ns.print(`  Script deployed but failed to run`);
-                                ns.print(`  RAM needed: ${result.scriptRam}GB`);
-                                ns.print(`  RAM free: ${result.freeRam}GB`);
-                                ns.print(`  Check RAM availability and permissions`);
-                            }
-                            ns.print("");
-                        }
-                    } else {
-                        ns.print(`Using existing deployment on ${schedulerHost}`);
-
-                        // Try to run it
-                        schedulerPid = ns.exec("/hack-v1/scheduler.js", schedulerHost, 1);
-
-                        if (schedulerPid > 0) {
-                            ns.print(`✓ Scheduler started on ${schedulerHost} (PID: ${schedulerPid})`);
-                            ns.tprint(`✓ Scheduler deployed to ${schedulerHost}`);
-                        } else {
-                            ns.print(`✗ exec() returned 0 for ${schedulerHost}`);
-                            ns.print(`  RAM needed: ${result.scriptRam}GB`);
-                            ns.print(`  RAM free: ${result.freeRam}GB`);
-                        }
-                        ns.print("");
-                    }
+            // 1. While draining, wait for the workers to finish instead of supervising services
+            let workersLeft = 0;
+            if (drainStartedAt > 0) {
+                // Without a scheduler to do it, kill the hacks and grows here
+                const scheduler = services["scheduler"];
+                if (!(scheduler.pid > 0 && ns.isRunning(scheduler.pid))) {
+                    killUnlandedWorkers(ns);
                 }
-            }
 
-            // 3. Check if status-reporter is running, start if not
-            if (!ns.isRunning(statusReporterPid)) {
-                ns.print("--- Starting Status Reporter ---");
-                const result = findServerForScript(ns, "/hack-v1/status-reporter.js");
-
-                if (!result) {
-                    ns.print("Cannot start status-reporter - see errors above");
-                    ns.print("");
-                } else {
-                    statusReporterHost = result.hostname;
-
-                    // Deploy all system scripts to target server (if not already deployed)
-                    if (statusReporterHost !== lastDeployedServer) {
-                        ns.print(`Deploying system scripts to ${statusReporterHost}...`);
-                        const deployed = await deployAllScripts(ns, statusReporterHost);
-
-                        if (!deployed) {
-                            ns.print(`✗ Failed to deploy to ${statusReporterHost}`);
-                            ns.print("");
-                        } else {
-                            lastDeployedServer = statusReporterHost;
-                            ns.print(`✓ Scripts deployed to ${statusReporterHost}`);
-
-                            // Now try to run it
-                            statusReporterPid = ns.exec("/hack-v1/status-reporter.js", statusReporterHost, 1);
-
-                            if (statusReporterPid > 0) {
-                                ns.print(`✓ Status reporter started on ${statusReporterHost} (PID: ${statusReporterPid})`);
-                                ns.tprint(`✓ Status reporter deployed to ${statusReporterHost}`);
-                            } else {
-                                ns.print(`✗ exec() still returned 0 for ${statusReporterHost}`);
-                                ns.print(`  Script deployed but failed to run`);
-                                ns.print(`  RAM needed: ${result.scriptRam}GB`);
-                                ns.print(`  RAM free: ${result.freeRam}GB`);
-                                ns.print(`  Check RAM availability and permissions`);
-                            }
-                            ns.print("");
-                        }
-                    } else {
-                        ns.print(`Using existing deployment on ${statusReporterHost}`);
-
-                        // Try to run it
-                        statusReporterPid = ns.exec("/hack-v1/status-reporter.js", statusReporterHost, 1);
-
-                        if (statusReporterPid > 0) {
-                            ns.print(`✓ Status reporter started on ${statusReporterHost} (PID: ${statusReporterPid})`);
-                            ns.tprint(`✓ Status reporter deployed to ${statusReporterHost}`);
-                        } else {
-                            ns.print(`✗ exec() returned 0 for ${statusReporterHost}`);
-                            ns.print(`  RAM needed: ${result.scriptRam}GB`);
-                            ns.print(`  RAM free: ${result.freeRam}GB`);
-                        }
-                        ns.print("");
+                workersLeft = countWorkers(ns);
+                const timedOut = Date.now() - drainStartedAt > DRAIN_TIMEOUT;
+                if (workersLeft === 0 || timedOut) {
+                    if (timedOut) {
+                        ns.tprint(`Drain timed out with ${workersLeft} workers still running`);
                     }
+                    killAllSystemProcesses(ns, services);
+                    ns.tprint("System drained and shut down");
+                    return; // Exit launcher
+                }
+            } else {
+                // Collect heartbeats, then start or restart services in table order
+                readHeartbeats(ns, services);
+                for (const service of SERVICES) {
+                    await superviseService(ns, service, services, deployedHosts);
                 }
             }
 
-            // 4. Read status from status-reporter and display
-            const statusData = ns.peek(PORT_STATUS);
+            // 2. Read status from status-reporter and display
+            const statusData = ns.peek(settings.ports.status);
             if (statusData !== "NULL PORT DATA") {
-                displayStatus(ns, statusData);
+                displayStatus(ns, statusData, services);
                 initMessageShown = false;
             } else {
                 if (!initMessageShown) {
@@ -326,17 +251,347 @@ export async function main(ns) {
                     initMessageShown = true;
                 }
             }
+            if (drainStartedAt > 0) {
+                ns.print(`DRAINING: ${workersLeft} workers left | ${formatTimeRemaining(Date.now() - drainStartedAt)} elapsed`);
+            }
 
-            // 4. Sleep until next cycle
-            await ns.sleep(LOOP_DELAY);
+            // 3. Sleep until next cycle
+            await ns.sleep(settings.loopDelay);
 
         } catch (error) {
             ns.print(`ERROR: ${error}`);
-            await ns.sleep(LOOP_DELAY);
+            await ns.sleep(settings.loopDelay);
+        }
+    }
+}
+
+/**
+ * Keep a service running: start it once its dependencies are up, restart it with backoff
+ * @param {NS} ns
+ * @param {Object} service - Entry from SERVICES
+ * @param {Object} services - Supervisor state by service name
+ * @param {Set<string>} deployedHosts - Hosts that already have the system scripts
+ */
+async function superviseService(ns, service, services, deployedHosts) {
+    const state = services[service.name];
+    const now = Date.now();
+
+    let stopReason = "exited";
+
+    if (state.pid > 0 && ns.isRunning(state.pid)) {
+        const hungReason = getHungReason(service, state, now);
+        if (!hungReason) {
+            // Forgive earlier failures once the service has stayed up for a while
+            if (state.failures > 0 && now - state.startedAt > BACKOFF_RESET) {
+                state.failures = 0;
+            }
+            return;
+        }
+
+        // Running but not making progress: kill it and restart like any other stop
+        ns.print(`✗ ${service.name} looks hung (${hungReason}), killing PID ${state.pid}`);
+        ns.kill(state.pid);
+        stopReason = hungReason;
+    }
+
+    // It was running and has stopped
+    if (state.pid > 0) {
+        ns.print(`✗ ${service.name} stopped on ${state.host} (PID: ${state.pid})`);
+        state.pid = 0;
+        state.heartbeat = null;
+        state.lastOk = 0;
+        state.lastRestartReason = stopReason;
+        state.lastRestartAt = now;
+        state.failures++;
+        state.nextAttempt = now + getBackoff(state.failures);
+
+        if (service.restart === "never") {
+            state.done = true;
+        }
+    }
+
+    if (state.done || now < state.nextAttempt) {
+        return;
+    }
+
+    // Wait for the services this one reads from
+    const waitingOn = service.dependsOn.filter(dep => !(services[dep].pid > 0 && ns.isRunning(services[dep].pid)));
+    if (waitingOn.length > 0) {
+        return;
+    }
+
+    ns.print(`--- Starting ${service.name} ---`);
+    const pid = await startService(ns, service, state, deployedHosts);
+
+    if (pid > 0) {
+        state.pid = pid;
+        state.startedAt = now;
+        state.starts++;
+    } else {
+        state.failures++;
+        state.nextAttempt = now + getBackoff(state.failures);
+        ns.print(`  Retrying ${service.name} in ${formatTimeRemaining(state.nextAttempt - now)}`);
+    }
+    ns.print("");
+}
+
+/**
+ * Read the keys the launcher uses from the config file
+ * Validation is left to config.js, which reports bad values in the services' logs.
+ * @param {NS} ns
+ * @param {boolean} startup - Also read ports, which can't change while services are running
+ */
+function loadSettings(ns, startup) {
+    let values;
+    try {
+        values = JSON.parse(ns.read(CONFIG_FILE) || "{}");
+    } catch (error) {
+        return;
+    }
+
+    if (startup) {
+        for (const name in settings.ports) {
+            settings.ports[name] = readSetting(values, `ports.${name}`, settings.ports[name]);
+        }
+    }
+
+    settings.loopDelay = readSetting(values, "launcher.loopDelay", 1000);
+    settings.homeReserve = readSetting(values, "homeReserve", 20);
+    for (const service of SERVICES) {
+        settings.serviceDelays[service.name] = readSetting(values, service.delaySetting, 0);
+    }
+}
+
+/**
+ * Get a number from the parsed config file
+ * @param {Object} values - Parsed config file
+ * @param {string} path - Dotted key, e.g. "launcher.loopDelay"
+ * @param {number} fallback - Used when the file doesn't set a number there
+ * @returns {number}
+ */
+function readSetting(values, path, fallback) {
+    const value = path.split(".").reduce((section, key) => section && typeof section === "object" ? section[key] : undefined, values);
+    return typeof value === "number" ? value : fallback;
+}
+
+/**
+ * Route commands from the control port to the services that handle them
+ * Commands that can't be delivered are acknowledged here with an error.
+ * @param {NS} ns
+ * @param {Object} services - Supervisor state by service name
+ * @returns {Promise<string|null>} "now" for a shutdown signal, "drain" for a drain command, null otherwise
+ */
+async function handleControlMessages(ns, services) {
+    while (true) {
+        const data = ns.readPort(settings.ports.control);
+        if (data === "NULL PORT DATA") {
+            return null;
+        }
+        if (data === "SHUTDOWN") {
+            return "now";
+        }
+
+        let message;
+        try {
+            message = JSON.parse(data);
+        } catch (error) {
+            ns.print(`Ignoring unreadable control message: ${data}`);
+            continue;
+        }
+
+        const drain = message.command === "drain";
+        const service = SERVICES.find(s => s.name === COMMAND_ROUTES[message.command]);
+
+        if (service && services[service.name].pid > 0 && ns.isRunning(services[service.name].pid)) {
+            ns.print(`Routing ${message.command} to ${service.name}`);
+            await ns.writePort(settings.ports[service.controlPort], JSON.stringify(message));
+        } else if (drain) {
+            // The launcher can drain on its own, so this isn't an error
+            await sendAck(ns, message.id, true, "Scheduler is not running, draining from the launcher");
+        } else {
+            await sendAck(ns, message.id, false, service ? `${service.name} is not running` : `Unknown command: ${message.command}`);
+        }
+
+        if (drain) {
+            return "drain";
+        }
+    }
+}
+
+/**
+ * Acknowledge a command on behalf of the launcher
+ * @param {NS} ns
+ * @param {string} id - Command ID
+ * @param {boolean} ok
+ * @param {string} message
+ */
+async function sendAck(ns, id, ok, message) {
+    await ns.writePort(settings.ports.controlAck, JSON.stringify({ id, service: "launcher", ok, message, data: null, timestamp: Date.now() }));
+}
+
+/**
+ * Kill every hack and grow worker on the network
+ * Workers exit once they land, so anything still running hasn't landed yet.
+ * @param {NS} ns
+ */
+function killUnlandedWorkers(ns) {
+    const scripts = WORKER_SCRIPTS.filter(script => !script.endsWith("/weaken.js"));
+
+    for (const hostname of getAllServersSimple(ns)) {
+        if (!ns.hasRootAccess(hostname)) continue;
+
+        for (const script of scripts) {
+            ns.scriptKill(script, hostname);
+        }
+    }
+}
+
+/**
+ * Count worker processes still running on the network
+ * @param {NS} ns
+ * @returns {number}
+ */
+function countWorkers(ns) {
+    const workerFiles = WORKER_SCRIPTS.map(script => script.replace(/^\//, ""));
+    let count = 0;
+
+    for (const hostname of getAllServersSimple(ns)) {
+        if (!ns.hasRootAccess(hostname)) continue;
+
+        for (const script of ns.ps(hostname)) {
+            if (workerFiles.includes(script.filename.replace(/^\//, ""))) {
+                count++;
+            }
+        }
+    }
+
+    return count;
+}
+
+/**
+ * Drain the heartbeat port, keeping the latest heartbeat from each service's current process
+ * Heartbeats from processes the launcher has since replaced are dropped.
+ * @param {NS} ns
+ * @param {Object} services - Supervisor state by service name (updated)
+ */
+function readHeartbeats(ns, services) {
+    while (true) {
+        const data = ns.readPort(settings.ports.heartbeat);
+        if (data === "NULL PORT DATA") {
+            break;
+        }
+
+        let heartbeat;
+        try {
+            heartbeat = JSON.parse(data);
+        } catch (error) {
+            continue;
+        }
+
+        const state = services[heartbeat.service];
+        if (!state || heartbeat.pid !== state.pid) continue;
+
+        state.heartbeat = heartbeat;
+        if (heartbeat.ok) {
+            state.lastOk = heartbeat.timestamp;
         }
     }
 }
 
+/**
+ * Check whether a running service has gone too long without a healthy heartbeat
+ * A fresh process gets staleAfter from its start to send its first one.
+ * @param {Object} service - Entry from SERVICES
+ * @param {Object} state - Supervisor state for the service
+ * @param {number} now
+ * @returns {string|null} Why the service counts as hung, or null if it's healthy
+ */
+function getHungReason(service, state, now) {
+    if (!service.staleAfter) {
+        return null;
+    }
+
+    const staleAfter = Math.max(service.staleAfter, (settings.serviceDelays[service.name] || 0) * STALE_DELAY_MULTIPLE);
+    const silentFor = now - Math.max(state.startedAt, state.lastOk);
+    if (silentFor <= staleAfter) {
+        return null;
+    }
+
+    // Still reporting, but every iteration since the last healthy one has failed
+    if (state.heartbeat && !state.heartbeat.ok) {
+        return `erroring: ${state.heartbeat.lastError}`;
+    }
+    return `no heartbeat for ${formatTimeRemaining(silentFor)}`;
+}
+
+/**
+ * Place, deploy and exec a service
+ * @param {NS} ns
+ * @param {Object} service - Entry from SERVICES
+ * @param {Object} state - Supervisor state for the service (host is updated)
+ * @param {Set<string>} deployedHosts - Hosts that already have the system scripts
+ * @returns {Promise<number>} PID, or 0 on failure
+ */
+async function startService(ns, service, state, deployedHosts) {
+    const result = findServerForScript(ns, service.script, getServiceRam(ns, service), service.placement);
+
+    if (!result) {
+        ns.print(`Cannot start ${service.name} - see errors above`);
+        return 0;
+    }
+
+    state.host = result.hostname;
+
+    // Deploy all system scripts to target server (if not already deployed)
+    if (!deployedHosts.has(state.host)) {
+        ns.print(`Deploying system scripts to ${state.host}...`);
+        const deployed = await deployAllScripts(ns, state.host);
+
+        if (!deployed) {
+            ns.print(`✗ Failed to deploy to ${state.host}`);
+            return 0;
+        }
+        deployedHosts.add(state.host);
+        ns.print(`✓ Scripts deployed to ${state.host}`);
+    } else {
+        ns.print(`Using existing deployment on ${state.host}`);
+    }
+
+    const pid = ns.exec(service.script, state.host, 1);
+
+    if (pid > 0) {
+        ns.print(`✓ ${service.name} started on ${state.host} (PID: ${pid})`);
+        ns.tprint(`✓ ${service.name} deployed to ${state.host}`);
+    } else {
+        ns.print(`✗ exec() returned 0 for ${state.host}`);
+        ns.print(`  RAM needed: ${result.scriptRam}GB`);
+        ns.print(`  RAM free: ${result.freeRam}GB`);
+        // Scripts may have been removed from the host, redeploy next time
+        deployedHosts.delete(state.host);
+    }
+
+    return pid;
+}
+
+/**
+ * Get the RAM a service needs
+ * @param {NS} ns
+ * @param {Object} service - Entry from SERVICES
+ * @returns {number} RAM in GB, or -1 if the script doesn't exist
+ */
+function getServiceRam(ns, service) {
+    return service.ram !== null ? service.ram : getScriptRam(ns, service.script);
+}
+
+/**
+ * Get the restart delay after a number of consecutive failures
+ * @param {number} failures
+ * @returns {number} Delay in ms
+ */
+function getBackoff(failures) {
+    return Math.min(BACKOFF_MAX, BACKOFF_BASE * Math.pow(2, Math.max(0, failures - 1)));
+}
+
 /**
  * Get script RAM cost
  * @param {NS} ns
@@ -355,11 +610,11 @@ function getScriptRam(ns, scriptPath) {
  * Find a server with enough RAM to run a script
  * @param {NS} ns
  * @param {string} scriptPath
+ * @param {number} scriptRam - RAM the script needs (-1 if it doesn't exist)
+ * @param {string} [placement="remote"] - "remote" or "spare" prefer non-home servers, "home" uses home only
  * @returns {{hostname: string, scriptRam: number, freeRam: number}|null}
  */
-function findServerForScript(ns, scriptPath) {
-    const scriptRam = getScriptRam(ns, scriptPath);
-
+function findServerForScript(ns, scriptPath, scriptRam, placement = "remote") {
     if (scriptRam === -1) {
         ns.print(`ERROR: Script not found: ${scriptPath}`);
         return null;
@@ -382,6 +637,7 @@ function findServerForScript(ns, scriptPath) {
 
     // Second pass: try to find suitable non-home server
     for (const s of candidates) {
+        if (placement === "home") break;
         if (!s.hasRoot) continue;
         if (s.hostname === "home") continue;
         if (s.freeRam >= scriptRam) {
@@ -392,7 +648,7 @@ function findServerForScript(ns, scriptPath) {
 
     // Show why each server was rejected
     const nonHomeServers = candidates.filter(s => s.hostname !== "home");
-    if (nonHomeServers.length > 0) {
+    if (placement !== "home" && nonHomeServers.length > 0) {
         ns.print(`  No suitable non-home server found. Candidates:`);
         for (const s of nonHomeServers.slice(0, 5)) { // Show top 5
             const reason = !s.hasRoot ? "no root" : `only ${s.freeRam.toFixed(1)}GB free`;
@@ -403,22 +659,25 @@ function findServerForScript(ns, scriptPath) {
         }
     }
 
-    // Fallback to home
+    // Fallback to home, keeping the reserve free for spare services
     const homeServer = candidates.find(s => s.hostname === "home");
-    if (homeServer && homeServer.freeRam >= scriptRam) {
+    const homeRamNeeded = placement === "spare" ? scriptRam + settings.homeReserve : scriptRam;
+    if (homeServer && homeServer.freeRam >= homeRamNeeded) {
         ns.print(`  ⚠ Using home (${homeServer.freeRam.toFixed(1)}GB free)`);
         return { hostname: "home", scriptRam, freeRam: homeServer.freeRam };
     }
 
     ns.print(`  ✗ No server has enough RAM (need ${scriptRam.toFixed(2)}GB)`);
     if (homeServer) {
-        ns.print(`    home has only ${homeServer.freeRam.toFixed(1)}GB free`);
+        const reserveNote = placement === "spare" ? `, ${settings.homeReserve}GB of it reserved` : "";
+        ns.print(`    home has only ${homeServer.freeRam.toFixed(1)}GB free${reserveNote}`);
     }
     return null;
 }
 
 /**
  * Get all servers using BFS scan (no imports)
+ * The one copy of the scan outside network.js, so the launcher stays import-free.
  * @param {NS} ns
  * @returns {string[]}
  */
@@ -466,8 +725,9 @@ function formatTimeRemaining(ms) {
  * Display system status
  * @param {NS} ns
  * @param {string} statusData
+ * @param {Object} services - Supervisor state by service name
  */
-function displayStatus(ns, statusData) {
+function displayStatus(ns, statusData, services) {
     try {
         const status = JSON.parse(statusData);
 
@@ -484,6 +744,55 @@ function displayStatus(ns, statusData) {
         ns.print(`RAM: ${usedRam.toFixed(1)}/${totalRam.toFixed(1)} GB (${utilization}% util)`);
         ns.print(`Servers in pool: ${status.ramPool.length}`);
         ns.print(`Operations scheduled: ${status.opsScheduled}`);
+        ns.print(`Analyzer: ${status.analyzerBackend}`);
+
+        // Purchased servers and Hacknet from the manager
+        const managerData = ns.peek(settings.ports.managerState);
+        if (managerData !== "NULL PORT DATA") {
+            const manager = JSON.parse(managerData);
+            const sizes = manager.purchased > 0 ? ` (${manager.smallestRam}-${manager.largestRam}GB)` : "";
+            ns.print(`Purchased servers: ${manager.purchased}/${manager.limit}${sizes}`);
+            if (manager.hacknet.nodes > 0) {
+                ns.print(`Hacknet: ${manager.hacknet.nodes} nodes, $${ns.formatNumber(manager.hacknet.production)}/s`);
+            }
+            if (manager.lastInvestment) {
+                ns.print(`  Last: ${manager.lastInvestment.message}`);
+            }
+            if (manager.draining.length > 0) {
+                ns.print(`  Draining for replacement: ${manager.draining.join(", ")}`);
+            }
+
+            const spent = Object.entries(manager.recentSpend).map(([category, amount]) => `${category} $${ns.formatNumber(amount)}`);
+            ns.print(`Spent (last hour): ${spent.join(" | ")}`);
+            if (manager.moneyFloor > 0) {
+                ns.print(`  Keeping $${ns.formatNumber(manager.moneyFloor)} in reserve`);
+            }
+
+            const unrooted = Object.entries(manager.unrooted || {});
+            if (unrooted.length > 0) {
+                const [hostname, reason] = unrooted[0];
+                ns.print(`Unrooted servers: ${unrooted.length} (e.g. ${hostname} ${reason})`);
+            }
+
+            const backdoors = manager.backdoors;
+            if (backdoors && backdoors.pending.length > 0) {
+                const state = !backdoors.available ? "waiting for Singularity" : (backdoors.running ? "installing" : "not started, retrying");
+                ns.print(`Backdoors (${state}): ${backdoors.pending.join(", ")}`);
+            }
+        }
+
+        // Settings changed through ctl.js, shown only when they differ from the defaults
+        const controls = status.controls;
+        if (controls) {
+            const changes = [];
+            if (controls.paused) changes.push("PAUSED");
+            if (controls.pinnedTargets.length > 0) changes.push(`pinned: ${controls.pinnedTargets.join(", ")}`);
+            if (controls.excludedTargets.length > 0) changes.push(`excluded: ${controls.excludedTargets.join(", ")}`);
+            if (controls.hackPercent !== null) changes.push(`hack ${(controls.hackPercent * 100).toFixed(1)}% (fixed)`);
+            if (changes.length > 0) {
+                ns.print(`Control: ${changes.join(" | ")}`);
+            }
+        }
         ns.print("");
 
         // Targets (already sorted by priority)
@@ -493,7 +802,9 @@ function displayStatus(ns, statusData) {
 
             // Determine status
             let statusLabel;
-            if (t.prepped) {
+            if (t.phase === "recovering") {
+                statusLabel = "DESYNC"; // Waiting for batches to land before re-prepping
+            } else if (t.prepped) {
                 statusLabel = "PREPPED";
             } else if (t.activelyWorked) {
                 statusLabel = "PREPPING"; // Actually being prepped
@@ -512,6 +823,26 @@ function displayStatus(ns, statusData) {
             // Main target line
             ns.print(`${i + 1}. ${t.hostname} [${statusLabel}] $${ns.formatNumber(t.money)} (${moneyPct}%) | Sec: ${currentSec.toFixed(1)}/${minSec} (+${secDiff}) | ${moneyPerSec}/s`);
 
+            // Realized income from worker results vs projection
+            if (t.realized && t.realized.hacks > 0) {
+                const r = t.realized;
+                const successPct = (r.hackSuccessRate * 100).toFixed(0);
+                ns.print(`   Realized: $${ns.formatNumber(r.moneyPerSec)}/s vs $${moneyPerSec}/s projected | hacks ${successPct}% ok | growth x${r.avgGrowth.toFixed(3)}`);
+            }
+
+            // Most recent desync, if any
+            if (t.lastDesync) {
+                const ago = formatTimeRemaining(Date.now() - t.lastDesync.timestamp);
+                ns.print(`   Last desync ${ago} ago: ${t.lastDesync.reason}`);
+            }
+
+            // RAM share from the scheduler's allocation plan
+            if (t.allocation) {
+                const share = (t.allocation.share * 100).toFixed(0);
+                const hackPct = t.hackPercent ? ` | hack ${(t.hackPercent * 100).toFixed(1)}%` : "";
+                ns.print(`   RAM share: ${share}% | +${t.allocation.ram.toFixed(1)}GB this cycle${hackPct}`);
+            }
+
             // Operation details (if any active)
             const ops = t.operations;
             if (ops && (ops.hack.threads > 0 || ops.grow.threads > 0 || ops.weaken.threads > 0)) {
@@ -530,6 +861,35 @@ function displayStatus(ns, statusData) {
                 }
                 ns.print(`   ${parts.join(" | ")}`);
             }
+
+            // Pipelined batches (if any in flight)
+            const pipeline = t.pipeline;
+            if (pipeline && pipeline.inFlight > 0) {
+                const nextLanding = pipeline.windows.find(w => w.landEnd > Date.now());
+                const next = nextLanding ? formatTimeRemaining(nextLanding.landStart - Date.now()) : "0s";
+                ns.print(`   Batches: ${pipeline.inFlight} in flight | ${pipeline.ram.toFixed(1)}GB | next lands in ${next}`);
+            }
+        }
+
+        ns.print("");
+        ns.print("Services:");
+        for (const service of SERVICES) {
+            const state = services[service.name];
+            const running = state.pid > 0 && ns.isRunning(state.pid);
+            const where = running ? `${state.host} (PID: ${state.pid})` : (state.done ? "stopped" : "restarting");
+            const iteration = running && state.heartbeat ? ` | iter ${state.heartbeat.iteration}` : "";
+            const restarts = state.starts > 1 ? ` | ${state.starts - 1} restarts` : "";
+            ns.print(`  ${service.name}: ${where}${iteration}${restarts}`);
+
+            if (running && state.heartbeat && state.heartbeat.lastError !== null) {
+                const label = state.heartbeat.ok ? "Last error" : "Error";
+                const ago = formatTimeRemaining(Date.now() - state.heartbeat.lastErrorAt);
+                ns.print(`    ${label}: ${state.heartbeat.lastError} (${ago} ago)`);
+            }
+            if (state.lastRestartReason) {
+                const ago = formatTimeRemaining(Date.now() - state.lastRestartAt);
+                ns.print(`    Last restart: ${state.lastRestartReason} (${ago} ago)`);
+            }
         }
 
         ns.print("");
@@ -543,41 +903,29 @@ function displayStatus(ns, statusData) {
 /**
  * Kill all HWGW system processes across all servers
  * @param {NS} ns
- * @param {number} managerPid - Manager PID
- * @param {number} schedulerPid - Scheduler PID
- * @param {number} statusReporterPid - Status Reporter PID
+ * @param {Object} services - Supervisor state by service name
  */
-function killAllSystemProcesses(ns, managerPid, schedulerPid, statusReporterPid) {
+function killAllSystemProcesses(ns, services) {
     ns.print("=== Killing All System Processes ===");
     ns.print("");
 
-    // Kill manager, scheduler, and status-reporter
-    if (managerPid > 0) {
-        ns.kill(managerPid);
-        ns.print(`✓ Killed manager (PID: ${managerPid})`);
-    }
-    if (schedulerPid > 0) {
-        ns.kill(schedulerPid);
-        ns.print(`✓ Killed scheduler (PID: ${schedulerPid})`);
-    }
-    if (statusReporterPid > 0) {
-        ns.kill(statusReporterPid);
-        ns.print(`✓ Killed status-reporter (PID: ${statusReporterPid})`);
+    // Kill every supervised service
+    for (const service of SERVICES) {
+        const pid = services[service.name].pid;
+        if (pid > 0) {
+            ns.kill(pid);
+            ns.print(`✓ Killed ${service.name} (PID: ${pid})`);
+        }
     }
 
     // Kill all workers across all servers
     const servers = getAllServersSimple(ns);
-    const workerScripts = [
-        "/hack-v1/workers/hack.js",
-        "/hack-v1/workers/grow.js",
-        "/hack-v1/workers/weaken.js"
-    ];
 
     let workersKilled = 0;
     for (const hostname of servers) {
         if (!ns.hasRootAccess(hostname)) continue;
 
-        for (const script of workerScripts) {
+        for (const script of WORKER_SCRIPTS) {
             const killed = ns.scriptKill(script, hostname);
             if (killed) {
                 workersKilled++;
@@ -1,55 +1,383 @@
 /** @param {NS} ns */
 
-import { scanAllServers, rootServer } from "/hack-v1/server-manager.js";
+import { rootServer, shouldPurchaseServer, purchaseAndSetup, planServerUpgrade, upgradeServer } from "/hack-v1/server-manager.js";
 import { deployWorkers } from "/hack-v1/deploy.js";
+import { sendHeartbeat } from "/hack-v1/heartbeat.js";
+import { loadConfig, reloadConfig } from "/hack-v1/config.js";
+import { planHacknetInvestment, buyHacknetInvestment, getHacknetSummary } from "/hack-v1/hacknet-manager.js";
+import { createBudget, getAllowance, recordSpend, summarizeSpend } from "/hack-v1/budget.js";
+import { scanNetwork, writeNetworkMap } from "/hack-v1/network.js";
+import { planProgramPurchases, getPortCrackers } from "/hack-v1/programs.js";
 
-const PORT_SERVER_LIST = 1; // Output port for server list
-const LOOP_DELAY = 30000; // 30 seconds
+const MAX_INVESTMENTS = 20; // Purchases and upgrades per cycle, so runs of cheap Hacknet upgrades don't take many cycles
+const NEVER_BACKDOOR = ["w0r1d_d43m0n"]; // Backdooring it ends the BitNode
+
+// Singularity functions cost too much RAM to live in the manager, so these run on home instead
+const BACKDOOR_SCRIPT = "/hack-v1/backdoor.js";
+const PROGRAMS_SCRIPT = "/hack-v1/buy-programs.js";
 
 /** @param {NS} ns */
 export async function main(ns) {
     ns.disableLog("ALL");
     ns.print("Manager started");
 
-    let knownServers = new Set();
+    let config = loadConfig(ns);
+    const rootedServers = new Set();
+    let crackers = "";
+
+    // Servers that couldn't be rooted, with the reason, retried when the port crackers on home change
+    const unrooted = new Map();
+    let iteration = 0;
+
+    // Purchased servers waiting to be emptied before they're replaced, with their upgrade plans
+    const draining = new Map();
+    let lastInvestment = null;
+
+    // Recent spending by category, for the launcher display
+    const spendHistory = [];
 
     while (true) {
         try {
-            // 1. Scan network for all servers
-            const allServers = scanAllServers(ns);
-
-            // 2. Root any new hackable servers
-            let newlyRooted = [];
-            for (const server of allServers) {
-                if (!knownServers.has(server)) {
-                    const rooted = rootServer(ns, server);
-                    if (rooted && server !== "home") {
-                        newlyRooted.push(server);
-                        ns.print(`Rooted: ${server}`);
-                    }
-                    knownServers.add(server);
-                }
+            iteration++;
+            config = reloadConfig(ns, config);
+
+            // 1. Spend this cycle's server, Hacknet and program allowances
+            const budget = createBudget(ns, config);
+            const investments = manageInvestments(ns, config, draining, budget, spendHistory);
+            if (investments.length > 0) {
+                lastInvestment = investments[investments.length - 1];
             }
+            startProgramPurchases(ns, budget, spendHistory);
 
-            // 3. Deploy workers to all rooted servers
+            // 2. Scan network for all servers
+            const network = scanNetwork(ns);
+            const allServers = Object.keys(network);
+
+            // 3. Root new servers, retrying failed ones when the port crackers on home change
+            const owned = getPortCrackers(ns).join(", ");
+            const retry = owned !== crackers;
+            crackers = owned;
+
+            const newlyRooted = rootNewServers(ns, network, rootedServers, unrooted, retry);
+            writeNetworkMap(ns, network);
+
+            // 4. Backdoor configured servers that are ready for it
+            const backdoors = startBackdoors(ns, network, config.backdoor.targets);
+
+            // 5. Deploy workers to all rooted servers
             await deployWorkers(ns, allServers);
 
-            // 4. Write server list to port for scheduler
+            // 6. Write server list to port for scheduler, and investment state for the launcher
             const serverData = {
                 servers: allServers,
+                draining: [...draining.keys()],
                 timestamp: Date.now()
             };
-            ns.clearPort(PORT_SERVER_LIST);
-            await ns.writePort(PORT_SERVER_LIST, JSON.stringify(serverData));
+            ns.clearPort(config.ports.serverList);
+            await ns.writePort(config.ports.serverList, JSON.stringify(serverData));
+
+            ns.clearPort(config.ports.managerState);
+            await ns.writePort(config.ports.managerState, JSON.stringify(getManagerState(ns, draining, lastInvestment, budget, spendHistory, backdoors, unrooted)));
 
             ns.print(`Managing ${allServers.length} servers, ${newlyRooted.length} newly rooted`);
 
-            // 5. Sleep until next cycle
-            await ns.sleep(LOOP_DELAY);
+            // 7. Sleep until next cycle
+            await sendHeartbeat(ns, config.ports.heartbeat, "manager", iteration);
+            await ns.sleep(config.manager.loopDelay);
 
         } catch (error) {
             ns.print(`ERROR: ${error}`);
-            await ns.sleep(LOOP_DELAY);
+            await sendHeartbeat(ns, config.ports.heartbeat, "manager", iteration, error);
+            await ns.sleep(config.manager.loopDelay);
+        }
+    }
+}
+
+/**
+ * Root servers not tried before, and the ones that failed if retrying
+ * Servers that become reachable on a retry are announced on the terminal.
+ * @param {NS} ns
+ * @param {Object} network - From scanNetwork (root status updated)
+ * @param {Set<string>} rootedServers - Servers already rooted (updated)
+ * @param {Map<string, string>} unrooted - Servers that couldn't be rooted, with the reason (updated)
+ * @param {boolean} retry - Try the unrooted servers again
+ * @returns {string[]} Servers rooted this time, not counting home
+ */
+function rootNewServers(ns, network, rootedServers, unrooted, retry) {
+    const newlyRooted = [];
+
+    for (const server in network) {
+        if (rootedServers.has(server) || (unrooted.has(server) && !retry)) continue;
+
+        const { rooted, portsOpened, portsRequired } = rootServer(ns, server);
+        network[server].rooted = rooted;
+
+        if (!rooted) {
+            const reason = `needs ${portsRequired} ports, can open ${portsOpened}`;
+            if (unrooted.get(server) !== reason) {
+                ns.print(`Can't root ${server} yet: ${reason}`);
+            }
+            unrooted.set(server, reason);
+            continue;
+        }
+
+        rootedServers.add(server);
+        if (server === "home") continue;
+
+        newlyRooted.push(server);
+        ns.print(`Rooted: ${server}`);
+        if (unrooted.delete(server)) {
+            ns.tprint(`Newly reachable: ${server} (opened ${portsOpened}/${portsRequired} ports)`);
+        }
+    }
+
+    return newlyRooted;
+}
+
+/**
+ * Spend this cycle's allowances on whichever server or Hacknet investment pays back fastest
+ * At the purchased server limit the smallest server is upgraded instead. Servers that can
+ * only be replaced are drained first: the scheduler stops placing work on them and they're
+ * replaced once their workers have finished. A drain whose plan the server allowance no
+ * longer covers is dropped, and the upgrade planned again.
+ * @param {NS} ns
+ * @param {Object} config
+ * @param {Map<string, Object>} draining - Upgrade plans of servers being drained (updated)
+ * @param {Object} budget - This cycle's allowances from createBudget (spent from)
+ * @param {Array} spendHistory - Recent spending (appended to)
+ * @returns {Array<{type: string, message: string, cost: number, payback: number|null, timestamp: number}>} Investments made
+ */
+function manageInvestments(ns, config, draining, budget, spendHistory) {
+    const incomePerGb = estimateIncomePerGb(ns, config.ports.schedulerState);
+    const investments = [];
+
+    // Finish replacements before planning more server work
+    for (const [host, plan] of draining) {
+        const result = upgradeServer(ns, plan, getAllowance(ns, budget, "servers"));
+        if (result === "busy") continue;
+
+        draining.delete(host);
+        if (result === "replaced") {
+            const payback = getServerPayback(plan.cost, plan.ram - plan.fromRam, incomePerGb);
+            investments.push(logInvestment(ns, "replace", `Replaced ${host} with ${plan.ram}GB`, plan.cost, payback));
+            recordSpend(budget, spendHistory, "servers", plan.cost);
+        } else if (result === "unaffordable") {
+            ns.print(`Server allowance no longer covers replacing ${host} with ${plan.ram}GB, will plan again`);
+        } else {
+            ns.print(`Could not replace ${host}, will plan again`);
         }
     }
+
+    for (let i = 0; i < MAX_INVESTMENTS; i++) {
+        const server = draining.size === 0 ? planServerInvestment(ns, getAllowance(ns, budget, "servers"), incomePerGb) : null;
+        const hacknet = planHacknetInvestment(ns, getAllowance(ns, budget, "hacknet"), config.hacknet.maxPayback);
+
+        // A server with unknown payback (no income yet) loses to any Hacknet option
+        if (hacknet && (!server || server.payback === null || hacknet.payback < server.payback)) {
+            if (!buyHacknetInvestment(ns, hacknet)) break;
+
+            const what = hacknet.type === "node" ? "Bought Hacknet node" : `Upgraded ${hacknet.type} of Hacknet node`;
+            investments.push(logInvestment(ns, "hacknet", `${what} ${hacknet.index}`, hacknet.cost, hacknet.payback));
+            recordSpend(budget, spendHistory, "hacknet", hacknet.cost);
+            continue;
+        }
+        if (!server) break;
+
+        if (server.type === "purchase") {
+            const hostname = purchaseAndSetup(ns, server.ram, server.name);
+            if (!hostname) break;
+            investments.push(logInvestment(ns, "purchase", `Purchased ${hostname} with ${server.ram}GB`, server.cost, server.payback));
+        } else {
+            const result = upgradeServer(ns, server.plan, getAllowance(ns, budget, "servers"));
+            if (result === "busy") {
+                ns.print(`Draining ${server.plan.host} before replacing it with ${server.ram}GB`);
+                draining.set(server.plan.host, server.plan);
+                continue;
+            }
+            if (result === "failed" || result === "unaffordable") {
+                ns.print(`Could not upgrade ${server.plan.host} to ${server.ram}GB`);
+                break;
+            }
+            const verb = result === "upgraded" ? "Upgraded" : "Replaced";
+            investments.push(logInvestment(ns, "upgrade", `${verb} ${server.plan.host} to ${server.ram}GB`, server.cost, server.payback));
+        }
+        recordSpend(budget, spendHistory, "servers", server.cost);
+    }
+
+    return investments;
+}
+
+/**
+ * Plan the next purchased server investment: a new server while under the limit, otherwise an upgrade
+ * @param {NS} ns
+ * @param {number} budget - Most it may cost
+ * @param {number} incomePerGb - $/sec per GB, 0 if unknown
+ * @returns {{type: string, name?: string, plan?: Object, ram: number, cost: number, payback: number|null}|null}
+ */
+function planServerInvestment(ns, budget, incomePerGb) {
+    if (ns.getPurchasedServers().length < ns.getPurchasedServerLimit()) {
+        const purchase = shouldPurchaseServer(ns, budget);
+        if (!purchase.purchase) {
+            return null;
+        }
+
+        const cost = ns.getPurchasedServerCost(purchase.ram);
+        return { type: "purchase", name: purchase.name, ram: purchase.ram, cost, payback: getServerPayback(cost, purchase.ram, incomePerGb) };
+    }
+
+    const plan = planServerUpgrade(ns, budget);
+    if (!plan) {
+        return null;
+    }
+    return { type: "upgrade", plan, ram: plan.ram, cost: plan.cost, payback: getServerPayback(plan.cost, plan.ram - plan.fromRam, incomePerGb) };
+}
+
+/**
+ * Get the time for added RAM to earn back its cost at the current income rate
+ * @param {number} cost
+ * @param {number} addedRam
+ * @param {number} incomePerGb - $/sec per GB, 0 if unknown
+ * @returns {number|null} Payback in ms, or null if unknown
+ */
+function getServerPayback(cost, addedRam, incomePerGb) {
+    return incomePerGb > 0 && addedRam > 0 ? cost / (addedRam * incomePerGb) * 1000 : null;
+}
+
+/**
+ * Estimate income per GB of pool RAM from the scheduler's realized income
+ * Only rooted servers count, since the rest can't run workers.
+ * @param {NS} ns
+ * @param {number} port - Scheduler state port
+ * @returns {number} $/sec per GB, or 0 before there's any income
+ */
+function estimateIncomePerGb(ns, port) {
+    const stateData = ns.peek(port);
+    if (stateData === "NULL PORT DATA") {
+        return 0;
+    }
+
+    const { servers, realized } = JSON.parse(stateData);
+    const income = Object.values(realized || {}).reduce((sum, r) => sum + r.moneyPerSec, 0);
+    const ram = (servers || [])
+        .filter(hostname => ns.hasRootAccess(hostname))
+        .reduce((sum, hostname) => sum + ns.getServerMaxRam(hostname), 0);
+    return ram > 0 ? income / ram : 0;
+}
+
+/**
+ * Log an investment with its cost and payback time
+ * @param {NS} ns
+ * @param {string} type - "purchase", "upgrade", "replace" or "hacknet"
+ * @param {string} description - What was bought
+ * @param {number} cost
+ * @param {number|null} payback - ms to earn back the cost, null if unknown
+ * @returns {{type: string, message: string, cost: number, payback: number|null, timestamp: number}}
+ */
+function logInvestment(ns, type, description, cost, payback) {
+    const paybackText = payback !== null ? `payback ~${ns.tFormat(payback)}` : "payback unknown (no income yet)";
+    const message = `${description} for $${ns.formatNumber(cost)}, ${paybackText}`;
+    ns.print(message);
+    ns.tprint(message);
+
+    return { type, message, cost, payback, timestamp: Date.now() };
+}
+
+/**
+ * Start the program buying script on home for the missing programs the allowance covers
+ * Spend is recorded when the script starts; the script only buys what was planned.
+ * @param {NS} ns
+ * @param {Object} budget - This cycle's allowances from createBudget (spent from)
+ * @param {Array} spendHistory - Recent spending (appended to)
+ */
+function startProgramPurchases(ns, budget, spendHistory) {
+    if (!hasSingularity(ns) || ns.scriptRunning(PROGRAMS_SCRIPT, "home")) {
+        return;
+    }
+
+    const plan = planProgramPurchases(ns, getAllowance(ns, budget, "programs"));
+    if (plan.length === 0) {
+        return;
+    }
+
+    const names = plan.map(program => program.name);
+    if (ns.exec(PROGRAMS_SCRIPT, "home", 1, ...names) === 0) {
+        ns.print(`Could not start ${PROGRAMS_SCRIPT} on home (not enough RAM?), will retry`);
+        return;
+    }
+
+    ns.print(`Buying ${names.join(", ")}`);
+    for (const program of plan) {
+        recordSpend(budget, spendHistory, "programs", program.cost);
+    }
+}
+
+/**
+ * Check whether Singularity functions can be used
+ * @param {NS} ns
+ * @returns {boolean} True in BitNode 4 or with its Source-File
+ */
+function hasSingularity(ns) {
+    const { currentNode, ownedSF } = ns.getResetInfo();
+    return currentNode === 4 || ownedSF.has(4);
+}
+
+/**
+ * Start the backdoor script on home for configured servers that are rooted, hackable and not yet backdoored
+ * Does nothing without Singularity, or while an earlier run is still going.
+ * @param {NS} ns
+ * @param {Object} network - From scanNetwork
+ * @param {string[]} targets - Servers to backdoor, highest priority first
+ * @returns {{available: boolean, pending: string[], running: boolean}}
+ */
+function startBackdoors(ns, network, targets) {
+    const available = hasSingularity(ns);
+
+    const pending = targets.filter(hostname => {
+        const server = network[hostname];
+        return server && !NEVER_BACKDOOR.includes(hostname) && !server.purchased && hostname !== "home" &&
+            server.rooted && !server.backdoored && server.hackingLevel <= ns.getHackingLevel();
+    });
+
+    let running = ns.scriptRunning(BACKDOOR_SCRIPT, "home");
+    if (available && !running && pending.length > 0) {
+        if (ns.exec(BACKDOOR_SCRIPT, "home", 1, ...pending) > 0) {
+            ns.print(`Backdooring ${pending.join(", ")}`);
+            running = true;
+        } else {
+            ns.print(`Could not start ${BACKDOOR_SCRIPT} on home (not enough RAM?), will retry`);
+        }
+    }
+
+    return { available, pending, running };
+}
+
+/**
+ * Summarize purchased servers, the Hacknet, backdoors and unrooted servers for the launcher display
+ * @param {NS} ns
+ * @param {Map<string, Object>} draining - Servers being drained for replacement
+ * @param {Object|null} lastInvestment - Last purchase or upgrade
+ * @param {{floor: number}} budget - This cycle's budget
+ * @param {Array} spendHistory - Recent spending (pruned)
+ * @param {{available: boolean, pending: string[], running: boolean}} backdoors - From startBackdoors
+ * @param {Map<string, string>} unrooted - Servers that couldn't be rooted, with the reason
+ * @returns {Object}
+ */
+function getManagerState(ns, draining, lastInvestment, budget, spendHistory, backdoors, unrooted) {
+    const rams = ns.getPurchasedServers().map(hostname => ns.getServerMaxRam(hostname));
+
+    return {
+        purchased: rams.length,
+        limit: ns.getPurchasedServerLimit(),
+        totalRam: rams.reduce((sum, ram) => sum + ram, 0),
+        smallestRam: rams.length > 0 ? Math.min(...rams) : 0,
+        largestRam: rams.length > 0 ? Math.max(...rams) : 0,
+        draining: [...draining.keys()],
+        hacknet: getHacknetSummary(ns),
+        lastInvestment,
+        moneyFloor: budget.floor,
+        recentSpend: summarizeSpend(spendHistory),
+        backdoors,
+        unrooted: Object.fromEntries(unrooted),
+        timestamp: Date.now()
+    };
 }
@@ -0,0 +1,91 @@
+/** @param {NS} ns */
+
+const NETWORK_MAP_FILE = "/data/network-map.txt"; // Written to home for route.js and anyone curious
+
+/**
+ * Get every server on the network, breadth-first from home
+ * @param {NS} ns
+ * @returns {string[]}
+ */
+export function getAllServers(ns) {
+    return Object.keys(mapNetwork(ns));
+}
+
+/**
+ * Map how servers connect, breadth-first from home
+ * @param {NS} ns
+ * @returns {Object<string, {hostname: string, parent: string|null, children: string[], depth: number}>} Servers in BFS order
+ */
+export function mapNetwork(ns) {
+    const network = { home: { hostname: "home", parent: null, children: [], depth: 0 } };
+    const queue = ["home"];
+
+    while (queue.length > 0) {
+        const current = queue.shift();
+
+        for (const neighbor of ns.scan(current)) {
+            if (network[neighbor]) continue;
+
+            network[neighbor] = { hostname: neighbor, parent: current, children: [], depth: network[current].depth + 1 };
+            network[current].children.push(neighbor);
+            queue.push(neighbor);
+        }
+    }
+
+    return network;
+}
+
+/**
+ * Map the network with each server's details
+ * @param {NS} ns
+ * @returns {Object<string, {hostname: string, parent: string|null, children: string[], depth: number, portsRequired: number, hackingLevel: number, maxRam: number, rooted: boolean, backdoored: boolean, purchased: boolean}>}
+ */
+export function scanNetwork(ns) {
+    const network = mapNetwork(ns);
+
+    for (const hostname in network) {
+        const server = ns.getServer(hostname);
+        Object.assign(network[hostname], {
+            portsRequired: server.numOpenPortsRequired ?? 0,
+            hackingLevel: server.requiredHackingSkill ?? 0,
+            maxRam: server.maxRam,
+            rooted: server.hasAdminRights,
+            backdoored: server.backdoorInstalled ?? false,
+            purchased: server.purchasedByPlayer
+        });
+    }
+
+    return network;
+}
+
+/**
+ * Write the network map as JSON and copy it to home
+ * @param {NS} ns
+ * @param {Object} network - From scanNetwork
+ */
+export function writeNetworkMap(ns, network) {
+    ns.write(NETWORK_MAP_FILE, JSON.stringify({ generatedAt: Date.now(), servers: network }), "w");
+
+    const here = ns.getHostname();
+    if (here !== "home") {
+        ns.scp(NETWORK_MAP_FILE, "home", here);
+    }
+}
+
+/**
+ * Get the chain of servers to connect through to reach a server from home
+ * @param {Object} network - From mapNetwork or scanNetwork
+ * @param {string} hostname
+ * @returns {string[]|null} Servers after home, ending with hostname, or null if it isn't on the network
+ */
+export function findRoute(network, hostname) {
+    if (!network[hostname]) {
+        return null;
+    }
+
+    const route = [];
+    for (let current = hostname; current !== "home"; current = network[current].parent) {
+        route.unshift(current);
+    }
+    return route;
+}
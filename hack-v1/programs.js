@@ -0,0 +1,48 @@
+/** @param {NS} ns */
+
+const TOR_COST = 200000;
+
+// Darkweb programs worth buying, in the order they're bought
+const PROGRAMS = [
+    { name: "BruteSSH.exe", cost: 500000, cracker: true },
+    { name: "FTPCrack.exe", cost: 1500000, cracker: true },
+    { name: "relaySMTP.exe", cost: 5000000, cracker: true },
+    { name: "HTTPWorm.exe", cost: 30000000, cracker: true },
+    { name: "SQLInject.exe", cost: 250000000, cracker: true },
+    { name: "Formulas.exe", cost: 5000000000, cracker: false }
+];
+
+/**
+ * Plan which of the missing programs to buy, TOR router first
+ * Stops at the first one that doesn't fit, so programs are always bought in order.
+ * @param {NS} ns
+ * @param {number} budget - Most the purchases may cost together
+ * @returns {Array<{name: string, cost: number}>} "TOR" stands for the router
+ */
+export function planProgramPurchases(ns, budget) {
+    const missing = PROGRAMS.filter(program => !ns.fileExists(program.name, "home"));
+    if (missing.length === 0) {
+        return [];
+    }
+    if (!ns.hasTorRouter()) {
+        missing.unshift({ name: "TOR", cost: TOR_COST });
+    }
+
+    const plan = [];
+    let total = 0;
+    for (const { name, cost } of missing) {
+        if (total + cost > budget) break;
+        plan.push({ name, cost });
+        total += cost;
+    }
+    return plan;
+}
+
+/**
+ * Get the port crackers on home
+ * @param {NS} ns
+ * @returns {string[]}
+ */
+export function getPortCrackers(ns) {
+    return PROGRAMS.filter(program => program.cracker && ns.fileExists(program.name, "home")).map(program => program.name);
+}
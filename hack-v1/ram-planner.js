@@ -0,0 +1,145 @@
+/** @param {NS} ns */
+
+import { getCoreBonus } from "/hack-v1/analyzer-backend.js";
+
+const WORKER_RAM = 1.75;
+
+/**
+ * Build RAM pool from all available servers
+ * Shared by the scheduler and the status reporter so both see the same pool.
+ * @param {NS} ns
+ * @param {string[]} servers
+ * @param {number} homeReserve - GB of home RAM kept out of the pool
+ * @returns {Array<{hostname: string, maxRam: number, usedRam: number, freeRam: number, cores: number}>}
+ */
+export function buildRamPool(ns, servers, homeReserve) {
+    const pool = [];
+
+    for (const hostname of servers) {
+        // Only use servers we have root on
+        if (!ns.hasRootAccess(hostname)) {
+            continue;
+        }
+
+        const maxRam = ns.getServerMaxRam(hostname);
+        const usedRam = ns.getServerUsedRam(hostname);
+        const freeRam = maxRam - usedRam;
+        const cores = ns.getServer(hostname).cpuCores;
+
+        // Reserve RAM on home server for launcher/manager/scheduler
+        if (hostname === "home") {
+            const adjustedFree = Math.max(0, freeRam - homeReserve);
+            if (adjustedFree > WORKER_RAM) {
+                pool.push({
+                    hostname,
+                    maxRam,
+                    usedRam: usedRam + homeReserve,
+                    freeRam: adjustedFree,
+                    cores
+                });
+            }
+        } else if (freeRam > WORKER_RAM) {
+            pool.push({ hostname, maxRam, usedRam, freeRam, cores });
+        }
+    }
+
+    // Sort by free RAM descending
+    pool.sort((a, b) => b.freeRam - a.freeRam);
+
+    return pool;
+}
+
+/**
+ * Reserve RAM for every job of a batch without running anything
+ * Job threads are single-core counts. Grow and weaken are placed on high-core hosts
+ * first and need fewer threads there; hack prefers low-core hosts to leave the rest free.
+ * @param {Array<{type: string, threads: number}>} jobs - Operations to place, in order
+ * @param {Array<{hostname: string, freeRam: number, cores: number}>} ramPool - Pool to plan against (not modified)
+ * @param {boolean} [allowPartial=false] - Keep whatever fits instead of failing the whole reservation
+ * @returns {{placements: Array<{job: number, hostname: string, threads: number, cores: number}>, ram: number}|null} Reservation, or null if the jobs don't fit
+ */
+export function reserveRam(jobs, ramPool, allowPartial = false) {
+    // Work on a copy so a failed plan leaves the pool untouched
+    const free = ramPool.map(s => ({ hostname: s.hostname, freeRam: s.freeRam, cores: s.cores || 1 }));
+    const placements = [];
+    let ram = 0;
+
+    for (let i = 0; i < jobs.length; i++) {
+        const coreScaled = jobs[i].type === "grow" || jobs[i].type === "weaken";
+        const hosts = orderHostsForJob(free, coreScaled);
+
+        // Remaining work in single-core thread equivalents
+        let remaining = jobs[i].threads;
+
+        for (const server of hosts) {
+            if (remaining <= 0) {
+                break;
+            }
+
+            const threadsAvailable = Math.floor(server.freeRam / WORKER_RAM);
+            if (threadsAvailable <= 0) {
+                continue;
+            }
+
+            const bonus = coreScaled ? getCoreBonus(server.cores) : 1;
+            const threads = Math.min(Math.ceil(remaining / bonus), threadsAvailable);
+            placements.push({ job: i, hostname: server.hostname, threads, cores: server.cores });
+            server.freeRam -= threads * WORKER_RAM;
+            ram += threads * WORKER_RAM;
+            remaining -= threads * bonus;
+        }
+
+        if (remaining > 0 && !allowPartial) {
+            return null;
+        }
+    }
+
+    return { placements, ram };
+}
+
+/**
+ * Order hosts for placing a job
+ * @param {Array<{freeRam: number, cores: number}>} hosts
+ * @param {boolean} coreScaled - Whether the job gets stronger with more cores
+ * @returns {Array} Hosts in placement order
+ */
+function orderHostsForJob(hosts, coreScaled) {
+    return [...hosts].sort((a, b) => {
+        if (a.cores !== b.cores) {
+            return coreScaled ? b.cores - a.cores : a.cores - b.cores;
+        }
+        return b.freeRam - a.freeRam;
+    });
+}
+
+/**
+ * Apply placements to the pool once their processes are running
+ * @param {Array<{hostname: string, freeRam: number, usedRam: number}>} ramPool
+ * @param {{placements: Array<{hostname: string, threads: number}>}} reservation
+ */
+export function commitReservation(ramPool, reservation) {
+    for (const placement of reservation.placements) {
+        const server = ramPool.find(s => s.hostname === placement.hostname);
+        if (!server) continue;
+
+        const ramUsed = placement.threads * WORKER_RAM;
+        server.freeRam -= ramUsed;
+        server.usedRam += ramUsed;
+    }
+}
+
+/**
+ * Kill processes started for a batch that could not be completed
+ * @param {NS} ns
+ * @param {number[]} pids
+ * @returns {number} Number of processes killed
+ */
+export function rollbackProcesses(ns, pids) {
+    let killed = 0;
+    for (const pid of pids) {
+        if (ns.kill(pid)) {
+            killed++;
+        }
+    }
+    return killed;
+}
@@ -0,0 +1,29 @@
+/** @param {NS} ns */
+
+import { mapNetwork, findRoute } from "/hack-v1/network.js";
+
+/**
+ * Print the connect commands that reach a server from home
+ * Paste the output into the terminal to get there.
+ * @param {NS} ns
+ */
+export async function main(ns) {
+    const hostname = ns.args[0];
+
+    if (!hostname) {
+        ns.tprint("Usage: run hack-v1/route.js <host>");
+        return;
+    }
+
+    const route = findRoute(mapNetwork(ns), String(hostname));
+    if (!route) {
+        ns.tprint(`ERROR: ${hostname} is not on the network`);
+        return;
+    }
+    if (route.length === 0) {
+        ns.tprint("Already there: that's home");
+        return;
+    }
+
+    ns.tprint(`home; ${route.map(host => `connect ${host}`).join("; ")}`);
+}
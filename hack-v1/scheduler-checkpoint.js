@@ -0,0 +1,123 @@
+/** @param {NS} ns */
+
+const CHECKPOINT_FILE = "/data/scheduler-state.txt";
+const CHECKPOINT_VERSION = 1;
+
+/**
+ * Write the scheduler's state to a file on the host it runs on
+ * @param {NS} ns
+ * @param {{operationStartTimes: Object, batches: Object, nextBatchId: number, targetPhases: Object, desyncEvents: Array, controls: Object}} state
+ */
+export function saveCheckpoint(ns, state) {
+    const checkpoint = {
+        version: CHECKPOINT_VERSION,
+        savedAt: Date.now(),
+        ...state
+    };
+    ns.write(CHECKPOINT_FILE, JSON.stringify(checkpoint), "w");
+}
+
+/**
+ * Load the newest checkpoint from this host or any other rooted server
+ * A checkpoint found elsewhere (the scheduler moved hosts) is copied here and removed there.
+ * @param {NS} ns
+ * @param {string[]} servers - Servers to search
+ * @returns {Object|null} Checkpoint, or null if none was found
+ */
+export function loadCheckpoint(ns, servers) {
+    const here = ns.getHostname();
+    let newest = readCheckpoint(ns);
+    const staleCopies = [];
+
+    for (const hostname of servers) {
+        if (hostname === here || !ns.fileExists(CHECKPOINT_FILE, hostname)) continue;
+
+        // scp overwrites the local copy, so re-save the newest one afterwards
+        ns.scp(CHECKPOINT_FILE, here, hostname);
+        const checkpoint = readCheckpoint(ns);
+        if (checkpoint && (!newest || checkpoint.savedAt > newest.savedAt)) {
+            newest = checkpoint;
+        }
+        staleCopies.push(hostname);
+    }
+
+    if (newest) {
+        ns.write(CHECKPOINT_FILE, JSON.stringify(newest), "w");
+    }
+    for (const hostname of staleCopies) {
+        ns.rm(CHECKPOINT_FILE, hostname);
+    }
+
+    return newest;
+}
+
+/**
+ * Drop checkpointed operations whose processes are no longer running
+ * Nothing is killed: surviving workers are simply tracked again.
+ * @param {NS} ns
+ * @param {Object} checkpoint
+ * @param {string[]} servers - Servers to check for running workers
+ * @returns {{operationStartTimes: Object, batches: Object, nextBatchId: number, targetPhases: Object, desyncEvents: Array, controls: Object}}
+ */
+export function reconcileCheckpoint(ns, checkpoint, servers) {
+    // One-off scan of everything running on the network
+    const running = {};
+    for (const hostname of servers) {
+        if (!ns.hasRootAccess(hostname)) continue;
+
+        for (const script of ns.ps(hostname)) {
+            running[script.pid] = script;
+        }
+    }
+
+    // Keep operations whose PID still runs the same worker against the same target
+    const operationStartTimes = {};
+    for (const pid in checkpoint.operationStartTimes || {}) {
+        const op = checkpoint.operationStartTimes[pid];
+        const script = running[pid];
+        if (!script) continue;
+
+        const filename = script.filename.replace(/^\//, "");
+        if (filename === `hack-v1/workers/${op.type}.js` && script.args[0] === op.target) {
+            operationStartTimes[pid] = op;
+        }
+    }
+
+    // Keep batches that still have workers running
+    const batches = {};
+    for (const batchId in checkpoint.batches || {}) {
+        const batch = checkpoint.batches[batchId];
+        if (batch.pids.some(pid => operationStartTimes[pid])) {
+            batches[batchId] = batch;
+        }
+    }
+
+    return {
+        operationStartTimes,
+        batches,
+        nextBatchId: checkpoint.nextBatchId || 1,
+        targetPhases: checkpoint.targetPhases || {},
+        desyncEvents: checkpoint.desyncEvents || [],
+        controls: checkpoint.controls || {}
+    };
+}
+
+/**
+ * Read and parse the local checkpoint file
+ * @param {NS} ns
+ * @returns {Object|null}
+ */
+function readCheckpoint(ns) {
+    const data = ns.read(CHECKPOINT_FILE);
+    if (!data) {
+        return null;
+    }
+
+    try {
+        const checkpoint = JSON.parse(data);
+        return checkpoint.version === CHECKPOINT_VERSION ? checkpoint : null;
+    } catch (error) {
+        ns.print(`Ignoring unreadable checkpoint: ${error}`);
+        return null;
+    }
+}
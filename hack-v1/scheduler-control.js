@@ -0,0 +1,197 @@
+/** @param {NS} ns */
+
+/**
+ * Create the runtime settings the scheduler can be steered with
+ *   paused - Launch nothing new; operations in flight still land
+ *   pinnedTargets - Always scheduled, even when not among the best targets
+ *   excludedTargets - Never scheduled
+ *   hackPercent - Fixed hack fraction for every target, or null to optimize per target
+ *   homeReserve - GB of home RAM kept out of the pool, or null to use the config
+ *   draining - Shutting down: launch nothing and kill hacks and grows that haven't landed
+ * @returns {{paused: boolean, pinnedTargets: string[], excludedTargets: string[], hackPercent: number|null, homeReserve: number|null, draining: boolean}}
+ */
+export function createControls() {
+    return {
+        paused: false,
+        draining: false,
+        pinnedTargets: [],
+        excludedTargets: [],
+        hackPercent: null,
+        homeReserve: null
+    };
+}
+
+/**
+ * Apply every command waiting on the scheduler's control port and acknowledge each one
+ * @param {NS} ns
+ * @param {Object} controls - Settings from createControls (updated)
+ * @param {Object} status - Scheduler summary returned by the status command
+ * @param {{schedulerControl: number, controlAck: number}} ports - Ports from the config
+ * @returns {Promise<number>} Number of commands handled
+ */
+export async function processControlMessages(ns, controls, status, ports) {
+    let handled = 0;
+
+    while (true) {
+        const data = ns.readPort(ports.schedulerControl);
+        if (data === "NULL PORT DATA") {
+            break;
+        }
+
+        let message;
+        try {
+            message = JSON.parse(data);
+        } catch (error) {
+            ns.print(`Ignoring unreadable control message: ${data}`);
+            continue;
+        }
+
+        const result = applyCommand(ns, controls, message.command, message.args || [], status);
+        ns.print(`Control ${message.command} ${(message.args || []).join(" ")}: ${result.message}`);
+        await ns.writePort(ports.controlAck, JSON.stringify({
+            id: message.id,
+            service: "scheduler",
+            ok: result.ok,
+            message: result.message,
+            data: result.data || null,
+            timestamp: Date.now()
+        }));
+        handled++;
+    }
+
+    return handled;
+}
+
+/**
+ * Apply pinned and excluded targets to the analyzer's pick
+ * @param {NS} ns
+ * @param {Array<{hostname: string, score: number}>} targets - Best targets from the analyzer
+ * @param {Object} controls
+ * @returns {Array<{hostname: string, score: number}>}
+ */
+export function applyTargetControls(ns, targets, controls) {
+    const result = targets.filter(t => !controls.excludedTargets.includes(t.hostname));
+
+    for (const hostname of controls.pinnedTargets) {
+        if (result.some(t => t.hostname === hostname) || !ns.hasRootAccess(hostname)) continue;
+        result.push({ hostname, score: 0 });
+    }
+
+    return result;
+}
+
+/**
+ * Apply a single command to the settings
+ * @param {NS} ns
+ * @param {Object} controls - Settings (updated)
+ * @param {string} command
+ * @param {string[]} args
+ * @param {Object} status - Scheduler summary for the status command
+ * @returns {{ok: boolean, message: string, data?: Object}}
+ */
+function applyCommand(ns, controls, command, args, status) {
+    switch (command) {
+        case "pause":
+            controls.paused = true;
+            return { ok: true, message: "Scheduling paused, operations in flight will still land" };
+
+        case "resume":
+            controls.paused = false;
+            return { ok: true, message: "Scheduling resumed" };
+
+        case "drain":
+            controls.draining = true;
+            return { ok: true, message: "Draining: hacks and grows killed, weakens left to land" };
+
+        case "target":
+            return applyTargetCommand(ns, controls, args[0], args[1]);
+
+        case "set":
+            return applySetCommand(controls, args[0], args[1]);
+
+        case "status":
+            return { ok: true, message: controls.draining ? "Draining" : controls.paused ? "Paused" : "Running", data: { controls, ...status } };
+
+        default:
+            return { ok: false, message: `Unknown command: ${command}` };
+    }
+}
+
+/**
+ * Pin, exclude or release a target
+ * @param {NS} ns
+ * @param {Object} controls - Settings (updated)
+ * @param {string} action - "add", "remove" or "auto"
+ * @param {string} hostname
+ * @returns {{ok: boolean, message: string}}
+ */
+function applyTargetCommand(ns, controls, action, hostname) {
+    if (!hostname) {
+        return { ok: false, message: "Usage: target add|remove|auto <host>" };
+    }
+    if (!ns.serverExists(hostname)) {
+        return { ok: false, message: `No such server: ${hostname}` };
+    }
+
+    controls.pinnedTargets = controls.pinnedTargets.filter(h => h !== hostname);
+    controls.excludedTargets = controls.excludedTargets.filter(h => h !== hostname);
+
+    switch (action) {
+        case "add":
+            if (ns.getServerMaxMoney(hostname) === 0) {
+                return { ok: false, message: `${hostname} has no money to hack` };
+            }
+            controls.pinnedTargets.push(hostname);
+            return { ok: true, message: `${hostname} pinned as a target` };
+
+        case "remove":
+            controls.excludedTargets.push(hostname);
+            return { ok: true, message: `${hostname} excluded, operations in flight will still land` };
+
+        case "auto":
+            return { ok: true, message: `${hostname} left to the analyzer` };
+
+        default:
+            return { ok: false, message: `Unknown target action: ${action}` };
+    }
+}
+
+/**
+ * Change a tunable setting
+ * @param {Object} controls - Settings (updated)
+ * @param {string} key - "hackPercent" or "homeReserve"
+ * @param {string} value
+ * @returns {{ok: boolean, message: string}}
+ */
+function applySetCommand(controls, key, value) {
+    switch (key) {
+        case "hackPercent": {
+            if (value === "auto") {
+                controls.hackPercent = null;
+                return { ok: true, message: "Hack fraction optimized per target" };
+            }
+            const hackPercent = Number(value);
+            if (!(hackPercent > 0 && hackPercent < 1)) {
+                return { ok: false, message: "hackPercent must be between 0 and 1, or auto" };
+            }
+            controls.hackPercent = hackPercent;
+            return { ok: true, message: `Hack fraction fixed at ${(hackPercent * 100).toFixed(1)}%` };
+        }
+
+        case "homeReserve": {
+            if (value === "default") {
+                controls.homeReserve = null;
+                return { ok: true, message: "Home reserve taken from the config" };
+            }
+            const homeReserve = Number(value);
+            if (!(homeReserve >= 0)) {
+                return { ok: false, message: "homeReserve must be a number of GB, or default" };
+            }
+            controls.homeReserve = homeReserve;
+            return { ok: true, message: `Reserving ${homeReserve}GB on home` };
+        }
+
+        default:
+            return { ok: false, message: `Unknown setting: ${key}` };
+    }
+}
@@ -1,316 +1,967 @@
 /** @param {NS} ns */
 
-import { getBestTargets, isPrepped, getPrepNeeds, calculateBatchSize, calculateMoneyPerSec } from "/hack-v1/analyzer.js";
-
-const PORT_SERVER_LIST = 1; // Input port from manager
-const PORT_SCHEDULER_STATE = 4; // Output port for shared state
+import { getBestTargets, isPrepped, getPrepNeeds, calculateBatchSize, calculateMoneyPerSec, estimateRamValue, optimizeHackFraction } from "/hack-v1/analyzer.js";
+import { buildRamPool, reserveRam, commitReservation, rollbackProcesses } from "/hack-v1/ram-planner.js";
+import { allocateRam } from "/hack-v1/allocator.js";
+import { getAnalyzerBackend, getCoreBonus } from "/hack-v1/analyzer-backend.js";
+import { saveCheckpoint, loadCheckpoint, reconcileCheckpoint } from "/hack-v1/scheduler-checkpoint.js";
+import { recordWorkerEvents, summarizeTargetStats } from "/hack-v1/target-stats.js";
+import { sendHeartbeat } from "/hack-v1/heartbeat.js";
+import { createControls, processControlMessages, applyTargetControls } from "/hack-v1/scheduler-control.js";
+import { loadConfig, reloadConfig } from "/hack-v1/config.js";
+import { getAllServers } from "/hack-v1/network.js";
+
+const PORT_WORKER_EVENTS = 5; // Input port for worker completion messages (fixed, workers can't read the config)
 const WORKER_RAM = 1.75;
-const HACK_PERCENT = 0.05; // Hack 5% of max money
+const REOPTIMIZE_THRESHOLD = 0.1; // Growth in a target's available RAM that triggers re-optimizing its hack fraction
+const BATCH_SHRINK_STEPS = [1, 0.5, 0.25, 0.1]; // Fractions of the hack percent to try when a batch doesn't fit
+const MAX_DESYNC_EVENTS = 20; // Desync events kept in the shared state
+const BATCH_LANDINGS = ["hack", "weaken1", "grow", "weaken2"]; // Landing order within a batch
 
 /** @param {NS} ns */
 export async function main(ns) {
     ns.disableLog("ALL");
     ns.print("Scheduler started");
 
-    const SCHEDULE_DELAY = 10000; // 10 seconds
+    let config = loadConfig(ns);
     let iteration = 0;
 
     // Persistent state across iterations - tracks all running operations
     let operationStartTimes = {};
 
+    // Batches in flight, keyed by batch ID
+    let batches = {};
+    let nextBatchId = 1;
+
+    // Per-target phase ("prep", "batch" or "recovering") and desync history
+    let targetPhases = {};
+    let desyncEvents = [];
+
+    // Optimized hack fraction per target, with the available RAM it was optimized for
+    const hackFractions = {};
+
+    // Recent worker results per target, for realized income
+    const targetStats = {};
+
+    // Worker messages taken off the port while waiting, so it can't fill up and drop any between cycles
+    const workerMessages = [];
+
+    // Runtime settings changed through ctl.js
+    let controls = createControls();
+
+    // Pick up the workers a previous scheduler instance left running
+    const allServers = getAllServers(ns);
+    const checkpoint = loadCheckpoint(ns, allServers);
+    if (checkpoint) {
+        const restored = reconcileCheckpoint(ns, checkpoint, allServers);
+        operationStartTimes = restored.operationStartTimes;
+        batches = restored.batches;
+        nextBatchId = restored.nextBatchId;
+        targetPhases = restored.targetPhases;
+        desyncEvents = restored.desyncEvents;
+        // A drain ends with the launcher exiting, so never resume one
+        controls = { ...controls, ...restored.controls, draining: false };
+        ns.print(`Restored ${Object.keys(operationStartTimes).length} operations and ${Object.keys(batches).length} batches from checkpoint`);
+    }
+
     while (true) {
         try {
             iteration++;
             ns.print(`[Scheduling ${iteration}] Starting...`);
+            config = reloadConfig(ns, config);
+
+            // Apply commands first so they're acknowledged even while waiting on the manager
+            await processControlMessages(ns, controls, {
+                operations: Object.keys(operationStartTimes).length,
+                batches: Object.keys(batches).length,
+                targetPhases
+            }, config.ports);
+            if (controls.draining) {
+                const killed = killQueuedWorkers(ns, null, operationStartTimes);
+                if (killed > 0) {
+                    ns.print(`Draining: killed ${killed} hacks and grows`);
+                }
+            }
 
             // Read server list from manager
-            const serverListData = ns.peek(PORT_SERVER_LIST);
+            const serverListData = ns.peek(config.ports.serverList);
             if (serverListData === "NULL PORT DATA") {
                 ns.print("Waiting for server list from manager...");
-                await ns.sleep(SCHEDULE_DELAY);
+                await sendHeartbeat(ns, config.ports.heartbeat, "scheduler", iteration);
+                await sleepReadingWorkerPort(ns, config.scheduler.scheduleDelay, workerMessages);
                 continue;
             }
 
-            const { servers } = JSON.parse(serverListData);
+            // Servers the manager is emptying for replacement get no new work
+            const serverList = JSON.parse(serverListData);
+            const servers = serverList.servers.filter(hostname => !(serverList.draining || []).includes(hostname));
 
-            // Clean up finished operations
-            operationStartTimes = cleanupFinishedOperations(ns, servers, operationStartTimes);
+            // Clean up finished operations from worker messages, expiring any whose message was lost
+            const workerEvents = processWorkerEvents(ns, operationStartTimes, workerMessages);
+            recordWorkerEvents(targetStats, workerEvents, getAnalyzerBackend(ns));
+            expireOverdueOperations(operationStartTimes, config.scheduler.overdueGrace);
+            batches = cleanupFinishedBatches(batches, operationStartTimes);
+            saveCheckpoint(ns, { operationStartTimes, batches, nextBatchId, targetPhases, desyncEvents, controls });
 
             // Build RAM pool
-            const ramPool = buildRamPool(ns, servers);
+            const ramPool = buildRamPool(ns, servers, controls.homeReserve ?? config.homeReserve);
 
             if (ramPool.length === 0) {
                 ns.print("No available RAM for operations");
 
                 // Still publish state for status reporter (with existing tracked operations)
-                const state = { servers, targets: [], operationStartTimes, timestamp: Date.now() };
-                ns.clearPort(PORT_SCHEDULER_STATE);
-                await ns.writePort(PORT_SCHEDULER_STATE, JSON.stringify(state));
+                const state = { servers, targets: [], operationStartTimes, pipelines: summarizePipelines(batches), allocation: {}, targetPhases, desyncEvents, controls, timestamp: Date.now() };
+                ns.clearPort(config.ports.schedulerState);
+                await ns.writePort(config.ports.schedulerState, JSON.stringify(state));
 
-                await ns.sleep(SCHEDULE_DELAY);
+                await sendHeartbeat(ns, config.ports.heartbeat, "scheduler", iteration);
+                await waitForNextEvent(ns, batches, workerMessages, config.scheduler.minScheduleDelay, config.scheduler.scheduleDelay, config.ports.schedulerControl);
                 continue;
             }
 
             // Get best targets
-            const targets = getBestTargets(ns, 5);
+            const targets = applyTargetControls(ns, getBestTargets(ns, config.scheduler.maxTargets), controls);
 
             if (targets.length === 0) {
                 ns.print("No valid targets found");
 
                 // Publish state with existing tracked operations
-                const state = { servers, targets: [], operationStartTimes, timestamp: Date.now() };
-                ns.clearPort(PORT_SCHEDULER_STATE);
-                await ns.writePort(PORT_SCHEDULER_STATE, JSON.stringify(state));
+                const state = { servers, targets: [], operationStartTimes, pipelines: summarizePipelines(batches), allocation: {}, targetPhases, desyncEvents, controls, timestamp: Date.now() };
+                ns.clearPort(config.ports.schedulerState);
+                await ns.writePort(config.ports.schedulerState, JSON.stringify(state));
 
-                await ns.sleep(SCHEDULE_DELAY);
+                await sendHeartbeat(ns, config.ports.heartbeat, "scheduler", iteration);
+                await waitForNextEvent(ns, batches, workerMessages, config.scheduler.minScheduleDelay, config.scheduler.scheduleDelay, config.ports.schedulerControl);
                 continue;
             }
 
-            // Prepare targets with pre-calculated moneyPerSec
-            const targetsWithMoney = targets.map(t => ({
-                hostname: t.hostname,
-                score: t.score,
-                moneyPerSec: calculateMoneyPerSec(ns, t.hostname)
-            }));
+            // Apply a fixed hack fraction, or give new targets the default until they have RAM to size one for
+            for (const target of targets) {
+                initHackFraction(target.hostname, hackFractions, config.scheduler, controls.hackPercent);
+            }
+
+            // Decide whether each target needs prep, batches, or to sit out while recovering
+            const modes = {};
+            for (const target of targets) {
+                const hostname = target.hostname;
+                // Killing hacks and grows during a drain would read as desync, so phases are frozen
+                const phase = controls.draining
+                    ? targetPhases[hostname] || "prep"
+                    : updateTargetPhase(ns, hostname, targetPhases[hostname] || "prep", batches, operationStartTimes, desyncEvents, config.scheduler);
+                targetPhases[hostname] = phase;
+                modes[hostname] = phase === "recovering" ? "hold" : phase;
+            }
+
+            // Split free RAM across targets by value
+            const allocation = planAllocation(ns, targets, modes, ramPool, operationStartTimes, batches, hackFractions, config.scheduler);
+
+            // Size each target's hack fraction for the RAM the other targets' allocations leave it
+            for (const target of targets) {
+                updateHackFraction(ns, target.hostname, allocation[target.hostname].available, hackFractions, config.scheduler);
+            }
 
             // Schedule operations for each target (adds new PIDs to operationStartTimes)
             let opsScheduled = 0;
 
             for (const target of targets) {
                 const hostname = target.hostname;
+                const budget = { ram: allocation[hostname].ram };
 
-                if (!isPrepped(ns, hostname)) {
-                    const scheduled = schedulePrepOperations(ns, hostname, ramPool, operationStartTimes);
+                if (controls.paused || controls.draining || modes[hostname] === "hold") {
+                    continue;
+                } else if (modes[hostname] === "prep") {
+                    const scheduled = schedulePrepOperations(ns, hostname, ramPool, operationStartTimes, budget);
                     if (scheduled) opsScheduled++;
                 } else {
-                    const scheduled = scheduleHWGWBatch(ns, hostname, ramPool, operationStartTimes);
-                    if (scheduled) opsScheduled++;
+                    const inFlight = getTargetBatches(batches, hostname);
+                    const hackPercent = hackFractions[hostname].hackPercent;
+                    const launched = fillPipeline(ns, hostname, ramPool, operationStartTimes, batches, inFlight, nextBatchId, budget, hackPercent, config.scheduler);
+                    nextBatchId += launched;
+                    if (launched > 0) opsScheduled++;
                 }
             }
 
-            ns.print(`Scheduled operations for ${opsScheduled} targets`);
+            if (controls.draining) {
+                ns.print("Draining, nothing scheduled");
+            } else if (controls.paused) {
+                ns.print("Paused, nothing scheduled");
+            } else {
+                ns.print(`Scheduled operations for ${opsScheduled} targets`);
+            }
+            saveCheckpoint(ns, { operationStartTimes, batches, nextBatchId, targetPhases, desyncEvents, controls });
+
+            // Project income from every batch in flight (each lands once per weaken time), or one batch before any are
+            const targetsWithMoney = targets.map(t => {
+                const hackPercent = hackFractions[t.hostname].hackPercent;
+                const inFlight = getTargetBatches(batches, t.hostname);
+                const hackedPerCycle = inFlight.length > 0 ? inFlight.reduce((sum, b) => sum + b.hackPercent, 0) : hackPercent;
+                return {
+                    hostname: t.hostname,
+                    score: t.score,
+                    hackPercent,
+                    moneyPerSec: calculateMoneyPerSec(ns, t.hostname, hackedPerCycle)
+                };
+            });
 
             // Publish state for status reporter
             const state = {
                 servers,
                 targets: targetsWithMoney,
                 operationStartTimes,
+                pipelines: summarizePipelines(batches),
+                allocation,
+                targetPhases,
+                desyncEvents,
+                controls,
+                analyzerBackend: getAnalyzerBackend(ns).name,
+                realized: summarizeTargetStats(targetStats),
                 timestamp: Date.now()
             };
-            ns.clearPort(PORT_SCHEDULER_STATE);
-            await ns.writePort(PORT_SCHEDULER_STATE, JSON.stringify(state));
+            ns.clearPort(config.ports.schedulerState);
+            await ns.writePort(config.ports.schedulerState, JSON.stringify(state));
 
-            await ns.sleep(SCHEDULE_DELAY);
+            await sendHeartbeat(ns, config.ports.heartbeat, "scheduler", iteration);
+            await waitForNextEvent(ns, batches, workerMessages, config.scheduler.minScheduleDelay, config.scheduler.scheduleDelay, config.ports.schedulerControl);
 
         } catch (error) {
             ns.print(`[Scheduling ${iteration}] ERROR: ${error}`);
             ns.print(`Stack: ${error.stack || 'No stack trace'}`);
-            await ns.sleep(SCHEDULE_DELAY);
+            await sendHeartbeat(ns, config.ports.heartbeat, "scheduler", iteration, error);
+            await sleepReadingWorkerPort(ns, config.scheduler.scheduleDelay, workerMessages);
         }
     }
 }
 
 /**
- * Build RAM pool from all available servers
+ * Schedule prep operations (weaken/grow)
  * @param {NS} ns
- * @param {string[]} servers
- * @returns {Array<{hostname: string, maxRam: number, usedRam: number, freeRam: number}>}
+ * @param {string} target
+ * @param {Array} ramPool
+ * @param {Object} operationStartTimes - Map to track PIDs
+ * @param {{ram: number}} budget - RAM this target may still use this cycle (reduced as threads start)
+ * @returns {boolean}
  */
-function buildRamPool(ns, servers) {
-    const pool = [];
-
-    for (const hostname of servers) {
-        // Only use servers we have root on
-        if (!ns.hasRootAccess(hostname)) {
-            continue;
-        }
-
-        const maxRam = ns.getServerMaxRam(hostname);
-        const usedRam = ns.getServerUsedRam(hostname);
-        const freeRam = maxRam - usedRam;
-
-        // Reserve RAM on home server for launcher/manager/scheduler
-        if (hostname === "home") {
-            const reservedRam = 20; // Reserve for system scripts
-            const adjustedFree = Math.max(0, freeRam - reservedRam);
-            if (adjustedFree > WORKER_RAM) {
-                pool.push({
-                    hostname,
-                    maxRam,
-                    usedRam: usedRam + reservedRam,
-                    freeRam: adjustedFree
-                });
-            }
-        } else if (freeRam > WORKER_RAM) {
-            pool.push({ hostname, maxRam, usedRam, freeRam });
-        }
+function schedulePrepOperations(ns, target, ramPool, operationStartTimes, budget) {
+    const step = getPrepStep(ns, target, operationStartTimes);
+    if (!step) {
+        return false;
     }
 
-    // Sort by free RAM descending
-    pool.sort((a, b) => b.freeRam - a.freeRam);
+    const threads = Math.min(step.threads, Math.floor(budget.ram / WORKER_RAM));
+    if (threads <= 0) {
+        return false;
+    }
 
-    return pool;
+    const deployments = scheduleOperation(ns, step.type, target, threads, ramPool, operationStartTimes);
+    budget.ram -= deployments.reduce((sum, d) => sum + d.threads * WORKER_RAM, 0);
+    return deployments.length > 0;
 }
 
 /**
- * Schedule prep operations (weaken/grow)
+ * Get the prep operation a target still needs, net of threads already in flight
  * @param {NS} ns
  * @param {string} target
- * @param {Array} ramPool
- * @param {Object} operationStartTimes - Map to track PIDs
- * @returns {boolean}
+ * @param {Object} operationStartTimes - Map of tracked PIDs
+ * @returns {{type: string, threads: number}|null} Missing prep step, or null if nothing to add
  */
-function schedulePrepOperations(ns, target, ramPool, operationStartTimes) {
+function getPrepStep(ns, target, operationStartTimes) {
     const prepNeeds = getPrepNeeds(ns, target);
 
+    // Threads already on their way only need topping up
+    const inFlight = getInFlightPrepThreads(operationStartTimes, target);
+
     // Priority 1: Weaken to min security
     if (prepNeeds.weakenThreads > 0) {
-        const deployments = scheduleOperation(ns, "weaken", target, prepNeeds.weakenThreads, ramPool, operationStartTimes);
-        return deployments.length > 0;
+        const missingThreads = prepNeeds.weakenThreads - inFlight.weaken;
+        // Enough weaken in flight means waiting for it to land before growing
+        return missingThreads > 0 ? { type: "weaken", threads: missingThreads } : null;
     }
 
     // Priority 2: Grow to max money
     if (prepNeeds.growThreads > 0) {
-        const deployments = scheduleOperation(ns, "grow", target, prepNeeds.growThreads, ramPool, operationStartTimes);
-        return deployments.length > 0;
+        const missingThreads = prepNeeds.growThreads - inFlight.grow;
+        return missingThreads > 0 ? { type: "grow", threads: missingThreads } : null;
+    }
+
+    return null;
+}
+
+/**
+ * Count prep threads still running against a target
+ * @param {Object} operationStartTimes - Map of tracked PIDs
+ * @param {string} target
+ * @returns {{weaken: number, grow: number}} Single-core thread equivalents in flight by operation
+ */
+function getInFlightPrepThreads(operationStartTimes, target) {
+    const inFlight = { weaken: 0, grow: 0 };
+
+    for (const pid in operationStartTimes) {
+        const op = operationStartTimes[pid];
+        if (op.target !== target || op.batchId != null) continue;
+
+        if (op.type === "weaken" || op.type === "grow") {
+            inFlight[op.type] += (op.threads || 0) * getCoreBonus(op.cores || 1);
+        }
+    }
+
+    return inFlight;
+}
+
+/**
+ * Launch batches until the target's pipeline is full
+ * Batches land back to back, one batch spacing after any batch already in flight
+ * @param {NS} ns
+ * @param {string} target
+ * @param {Array} ramPool
+ * @param {Object} operationStartTimes - Map to track PIDs
+ * @param {Object} batches - Map of in-flight batches by ID
+ * @param {Array} inFlight - Batches already in flight against this target
+ * @param {number} firstBatchId - ID to give the first new batch
+ * @param {{ram: number}} budget - RAM this target may still use this cycle (reduced as batches start)
+ * @param {number} hackPercent - Percent of max money each batch hacks (0-1)
+ * @param {Object} tuning - Scheduler section of the config
+ * @returns {number} Number of batches launched
+ */
+function fillPipeline(ns, target, ramPool, operationStartTimes, batches, inFlight, firstBatchId, budget, hackPercent, tuning) {
+    // Only launch while security is at minimum, otherwise operation times are off
+    const currentSec = ns.getServerSecurityLevel(target);
+    const minSec = ns.getServerMinSecurityLevel(target);
+    if (currentSec > minSec + 0.1) {
+        return 0;
+    }
+
+    const maxDepth = getPipelineDepth(ns, target, tuning);
+
+    let lastLandEnd = inFlight.reduce((latest, b) => Math.max(latest, b.landEnd), 0);
+    let launched = 0;
+
+    for (let depth = inFlight.length; depth < maxDepth; depth++) {
+        const batchId = firstBatchId + launched;
+        const batch = scheduleHWGWBatch(ns, target, ramPool, operationStartTimes, batchId, budget, hackPercent, tuning.batchSpacing, lastLandEnd + tuning.batchSpacing);
+        if (!batch) {
+            break;
+        }
+
+        batches[batchId] = batch;
+        lastLandEnd = batch.landEnd;
+        launched++;
+    }
+
+    return launched;
+}
+
+/**
+ * Get how many batches may be in flight against a target at once
+ * Consecutive batches land four batch spacings apart, one per operation.
+ * @param {NS} ns
+ * @param {string} target
+ * @param {Object} tuning - Scheduler section of the config
+ * @returns {number}
+ */
+function getPipelineDepth(ns, target, tuning) {
+    if (!tuning.pipelineMode) {
+        return 1;
     }
 
-    return false;
+    const weakenTime = ns.getWeakenTime(target);
+    return Math.max(1, Math.min(tuning.maxPipelineDepth, Math.floor(weakenTime / (tuning.batchSpacing * BATCH_LANDINGS.length))));
 }
 
 /**
  * Schedule HWGW batch
+ * Operations are delayed so they land in order H, W1, G, W2, spacing apart.
+ * RAM for all four is reserved up front; the hack fraction shrinks until the batch fits.
  * @param {NS} ns
  * @param {string} target
  * @param {Array} ramPool
  * @param {Object} operationStartTimes - Map to track PIDs
+ * @param {number} batchId
+ * @param {{ram: number}} budget - RAM this target may still use this cycle (reduced on success)
+ * @param {number} targetPercent - Percent of max money to hack (0-1), shrunk if the batch doesn't fit
+ * @param {number} spacing - ms between consecutive landings
+ * @param {number} [earliestLanding=0] - Timestamp before which the hack must not land
+ * @returns {{target: string, hackPercent: number, pids: number[], jobs: number[], ram: number, landStart: number, landEnd: number}|null} Batch record, or null if the batch was skipped
+ *          jobs holds the landing (index into BATCH_LANDINGS) of each PID
+ */
+function scheduleHWGWBatch(ns, target, ramPool, operationStartTimes, batchId, budget, targetPercent, spacing, earliestLanding = 0) {
+    // Find the largest hack fraction whose whole batch fits in the pool
+    let hackPercent = 0;
+    let batch = null;
+    let reservation = null;
+
+    for (const step of BATCH_SHRINK_STEPS) {
+        hackPercent = targetPercent * step;
+        batch = calculateBatchSize(ns, target, hackPercent);
+        reservation = reserveRam([
+            { type: "hack", threads: batch.hackThreads },
+            { type: "weaken", threads: batch.weaken1Threads },
+            { type: "grow", threads: batch.growThreads },
+            { type: "weaken", threads: batch.weaken2Threads }
+        ], ramPool);
+
+        if (reservation && reservation.ram <= budget.ram) {
+            break;
+        }
+        reservation = null;
+    }
+
+    if (!reservation) {
+        return null;
+    }
+
+    const timing = calculateBatchDelays(ns, target, spacing);
+
+    // Push the whole batch back if it would land on top of an earlier one
+    const now = Date.now();
+    const offset = Math.max(0, earliestLanding - (now + timing.hackLanding));
+    const jobDelays = [timing.delays.hack, timing.delays.weaken1, timing.delays.grow, timing.delays.weaken2];
+    const jobTypes = ["hack", "weaken", "grow", "weaken"];
+
+    // Run every placement; roll back the whole batch if any exec fails
+    const pids = [];
+    const jobs = [];
+    for (const placement of reservation.placements) {
+        const opType = jobTypes[placement.job];
+        const delay = jobDelays[placement.job] + offset;
+        const pid = execOperation(ns, opType, target, placement.hostname, placement.threads, operationStartTimes, delay, batchId, placement.cores);
+
+        if (pid === 0) {
+            const killed = rollbackProcesses(ns, pids);
+            for (const startedPid of pids) {
+                delete operationStartTimes[startedPid];
+            }
+            ns.print(`Batch ${batchId} on ${target} failed to start, rolled back ${killed} processes`);
+            return null;
+        }
+
+        pids.push(pid);
+        jobs.push(placement.job);
+    }
+
+    commitReservation(ramPool, reservation);
+    budget.ram -= reservation.ram;
+
+    const landStart = now + timing.hackLanding + offset;
+    return {
+        target,
+        hackPercent,
+        pids,
+        jobs,
+        ram: reservation.ram,
+        landStart,
+        landEnd: landStart + spacing * 3
+    };
+}
+
+/**
+ * Calculate start delays so a batch lands in order H, W1, G, W2
+ * @param {NS} ns
+ * @param {string} target
+ * @param {number} spacing - ms between consecutive landings
+ * @returns {{delays: {hack: number, weaken1: number, grow: number, weaken2: number}, hackLanding: number}} Delay in ms for each operation, and ms from now until the hack lands
+ */
+function calculateBatchDelays(ns, target, spacing) {
+    const hackTime = ns.getHackTime(target);
+    const growTime = ns.getGrowTime(target);
+    const weakenTime = ns.getWeakenTime(target);
+
+    // Landing offsets relative to the hack landing
+    const ops = {
+        hack: { duration: hackTime, land: 0 },
+        weaken1: { duration: weakenTime, land: spacing },
+        grow: { duration: growTime, land: spacing * 2 },
+        weaken2: { duration: weakenTime, land: spacing * 3 }
+    };
+
+    // Start times relative to the hack landing, shifted so the earliest start is now
+    const starts = {};
+    for (const name in ops) {
+        starts[name] = ops[name].land - ops[name].duration;
+    }
+    const earliestStart = Math.min(...Object.values(starts));
+
+    const delays = {};
+    for (const name in starts) {
+        delays[name] = starts[name] - earliestStart;
+    }
+
+    return { delays, hackLanding: -earliestStart };
+}
+
+/**
+ * Give a target its hack fraction before RAM is allocated
+ * A fixed fraction from ctl.js replaces the optimized one. Targets without an optimized
+ * fraction (new, or just switched back to auto) start at the default.
+ * @param {string} target
+ * @param {Object} hackFractions - Hack fraction by target (updated)
+ * @param {Object} tuning - Scheduler section of the config
+ * @param {number|null} [override=null] - Fixed hack fraction set through ctl.js
+ */
+function initHackFraction(target, hackFractions, tuning, override = null) {
+    const current = hackFractions[target];
+    if (override !== null) {
+        hackFractions[target] = { hackPercent: override, availableRam: 0, manual: true };
+    } else if (!current || current.manual) {
+        hackFractions[target] = { hackPercent: tuning.defaultHackPercent, availableRam: 0 };
+    }
+}
+
+/**
+ * Re-optimize a target's hack fraction when the RAM available to it has grown
+ * @param {NS} ns
+ * @param {string} target
+ * @param {number} availableRam - RAM the target holds or may still use, from the allocation plan
+ * @param {Object} hackFractions - Hack fraction by target, from initHackFraction (updated)
+ * @param {Object} tuning - Scheduler section of the config
+ */
+function updateHackFraction(ns, target, availableRam, hackFractions, tuning) {
+    const current = hackFractions[target];
+    if (current.manual || availableRam <= current.availableRam * (1 + REOPTIMIZE_THRESHOLD)) {
+        return;
+    }
+
+    const best = optimizeHackFraction(ns, target, availableRam, getPipelineDepth(ns, target, tuning));
+    const hackPercent = best.depth > 0 ? best.hackPercent : tuning.defaultHackPercent;
+
+    if (current.hackPercent !== hackPercent) {
+        ns.print(`Hack fraction for ${target}: ${(hackPercent * 100).toFixed(1)}% (${ns.formatNumber(best.incomePerSec)}/s)`);
+    }
+    hackFractions[target] = { hackPercent, availableRam };
+}
+
+/**
+ * Move a target between prep, batch and recovering phases
+ * A batching target that drifts from the batch model stops batching until re-prepped.
+ * @param {NS} ns
+ * @param {string} target
+ * @param {string} phase - Current phase
+ * @param {Object} batches - Map of in-flight batches by ID
+ * @param {Object} operationStartTimes - Map of tracked PIDs
+ * @param {Array} desyncEvents - Desync history (appended to)
+ * @param {Object} tuning - Scheduler section of the config
+ * @returns {string} New phase
+ */
+function updateTargetPhase(ns, target, phase, batches, operationStartTimes, desyncEvents, tuning) {
+    const inFlight = getTargetBatches(batches, target);
+
+    if (phase === "batch" && inFlight.length > 0) {
+        const reason = checkBatchDrift(ns, target, inFlight, operationStartTimes, tuning);
+        if (!reason) {
+            return "batch";
+        }
+
+        const killed = tuning.killOnDesync ? killQueuedWorkers(ns, target, operationStartTimes) : 0;
+        desyncEvents.push({ target, reason, killed, timestamp: Date.now() });
+        if (desyncEvents.length > MAX_DESYNC_EVENTS) {
+            desyncEvents.shift();
+        }
+        ns.print(`Desync on ${target}: ${reason} (killed ${killed} queued workers)`);
+        return "recovering";
+    }
+
+    // Let the remaining batches land before deciding how to carry on
+    if (phase === "recovering" && inFlight.length > 0) {
+        return "recovering";
+    }
+
+    if (inFlight.length > 0) {
+        return "batch";
+    }
+
+    return isPrepped(ns, target) ? "batch" : "prep";
+}
+
+/**
+ * Compare a target's security and money against what its batches should have left it at
+ * @param {NS} ns
+ * @param {string} target
+ * @param {Array} inFlight - Batches in flight against the target
+ * @param {Object} operationStartTimes - Map of tracked PIDs, already cleaned of finished operations
+ * @param {Object} tuning - Scheduler section of the config
+ * @returns {string|null} Reason for the drift, or null if the target is in sync
+ */
+function checkBatchDrift(ns, target, inFlight, operationStartTimes, tuning) {
+    // Find the most recent landing across the target's batches
+    let latest = null;
+    for (const batch of inFlight) {
+        // Each batch keeps the spacing it was launched with, even if the config has changed since
+        const spacing = (batch.landEnd - batch.landStart) / (BATCH_LANDINGS.length - 1);
+        BATCH_LANDINGS.forEach((event, i) => {
+            const time = batch.landStart + i * spacing;
+            if (hasLanded(batch, i, operationStartTimes) && (!latest || time > latest.time)) {
+                latest = { event, time, hackPercent: batch.hackPercent };
+            }
+        });
+    }
+
+    // Nothing landed yet: the target should still be fully prepped
+    const event = latest ? latest.event : "weaken2";
+    const hackPercent = latest ? latest.hackPercent : 0;
+
+    const currentSec = ns.getServerSecurityLevel(target);
+    const minSec = ns.getServerMinSecurityLevel(target);
+    const currentMoney = ns.getServerMoneyAvailable(target);
+    const maxMoney = ns.getServerMaxMoney(target);
+
+    // Security is only settled right after a weaken lands
+    const secSettled = event === "weaken1" || event === "weaken2";
+    if (secSettled && currentSec > minSec + tuning.secDriftThreshold) {
+        return `security +${(currentSec - minSec).toFixed(2)} after ${event}`;
+    }
+
+    // Money is short by the hack fraction until the grow lands
+    const hacked = event === "hack" || event === "weaken1";
+    const expectedMoney = maxMoney * (hacked ? 1 - hackPercent : 1);
+    if (currentMoney < expectedMoney * (1 - tuning.moneyDriftThreshold)) {
+        const shortfall = (1 - currentMoney / expectedMoney) * 100;
+        return `money ${shortfall.toFixed(0)}% below expected after ${event}`;
+    }
+
+    return null;
+}
+
+/**
+ * Check whether one of a batch's operations has landed
+ * Operations land a little late in-game, so landing is confirmed by every worker for it having
+ * reported in.
+ * @param {Object} batch - Batch record
+ * @param {number} job - Index into BATCH_LANDINGS
+ * @param {Object} operationStartTimes - Map of tracked PIDs, already cleaned of finished operations
  * @returns {boolean}
  */
-function scheduleHWGWBatch(ns, target, ramPool, operationStartTimes) {
-    const batch = calculateBatchSize(ns, target, HACK_PERCENT);
+function hasLanded(batch, job, operationStartTimes) {
+    return batch.pids.every((pid, i) => batch.jobs[i] !== job || !operationStartTimes[pid]);
+}
+
+/**
+ * Kill hacks and grows against a target that haven't landed yet
+ * Weakens are left running since they only help the target recover.
+ * @param {NS} ns
+ * @param {string|null} target - Target, or null for every target
+ * @param {Object} operationStartTimes - Map of tracked PIDs (killed entries removed)
+ * @returns {number} Number of workers killed
+ */
+function killQueuedWorkers(ns, target, operationStartTimes) {
+    const now = Date.now();
+    let killed = 0;
+
+    for (const pid in operationStartTimes) {
+        const op = operationStartTimes[pid];
+        if ((target !== null && op.target !== target) || op.type === "weaken" || op.endTime <= now) continue;
+
+        if (ns.kill(parseInt(pid))) {
+            killed++;
+        }
+        delete operationStartTimes[pid];
+    }
+
+    return killed;
+}
+
+/**
+ * Build the RAM allocation plan for this cycle
+ * Each target's demand is its next prep step, or the batches that would fill its pipeline
+ * @param {NS} ns
+ * @param {Array<{hostname: string}>} targets
+ * @param {Object<string, string>} modes - "prep", "batch" or "hold" by target
+ * @param {Array} ramPool
+ * @param {Object} operationStartTimes - Map of tracked PIDs
+ * @param {Object} batches - Map of in-flight batches by ID
+ * @param {Object} hackFractions - Optimized hack fraction by target
+ * @param {Object} tuning - Scheduler section of the config
+ * @returns {Object} Allocation plan by target
+ */
+function planAllocation(ns, targets, modes, ramPool, operationStartTimes, batches, hackFractions, tuning) {
+    const candidates = targets.map(t => {
+        const hostname = t.hostname;
+        const hackPercent = hackFractions[hostname].hackPercent;
+        const batching = modes[hostname] === "batch";
+        const inFlight = getTargetBatches(batches, hostname).length;
+        const maxDepth = getPipelineDepth(ns, hostname, tuning);
+        let demand = 0;
+
+        if (batching) {
+            const batch = calculateBatchSize(ns, hostname, hackPercent);
+            const batchRam = (batch.hackThreads + batch.growThreads + batch.weakenThreads) * WORKER_RAM;
+            demand = Math.max(0, maxDepth - inFlight) * batchRam;
+        } else if (modes[hostname] === "prep") {
+            const step = getPrepStep(ns, hostname, operationStartTimes);
+            demand = step ? step.threads * WORKER_RAM : 0;
+        }
+
+        return {
+            hostname,
+            demand,
+            value: estimateRamValue(ns, hostname, hackPercent, batching, inFlight, maxDepth),
+            committedRam: getCommittedRam(operationStartTimes, hostname)
+        };
+    });
+
+    const freeRam = ramPool.reduce((sum, s) => sum + s.freeRam, 0);
+    const committedRam = getCommittedRam(operationStartTimes);
+
+    return allocateRam(candidates, committedRam + freeRam, freeRam, tuning.targetQuotas);
+}
+
+/**
+ * Sum the RAM held by tracked operations
+ * @param {Object} operationStartTimes - Map of tracked PIDs
+ * @param {string} [target] - Only count operations against this target
+ * @returns {number} RAM in GB
+ */
+function getCommittedRam(operationStartTimes, target) {
+    let ram = 0;
+    for (const pid in operationStartTimes) {
+        const op = operationStartTimes[pid];
+        if (target && op.target !== target) continue;
+        ram += (op.threads || 0) * WORKER_RAM;
+    }
+    return ram;
+}
+
+/**
+ * Get the in-flight batches against a target
+ * @param {Object} batches - Map of in-flight batches by ID
+ * @param {string} target
+ * @returns {Array} Batches against the target
+ */
+function getTargetBatches(batches, target) {
+    return Object.values(batches).filter(b => b.target === target);
+}
+
+/**
+ * Summarize in-flight batches per target for the shared state
+ * @param {Object} batches - Map of in-flight batches by ID
+ * @returns {Object} Pipeline info by target: batch count, RAM, landing windows
+ */
+function summarizePipelines(batches) {
+    const pipelines = {};
+
+    for (const batch of Object.values(batches)) {
+        if (!pipelines[batch.target]) {
+            pipelines[batch.target] = { inFlight: 0, ram: 0, windows: [] };
+        }
+
+        const pipeline = pipelines[batch.target];
+        pipeline.inFlight++;
+        pipeline.ram += batch.ram;
+        pipeline.windows.push({ landStart: batch.landStart, landEnd: batch.landEnd });
+    }
 
-    // Schedule operations in sequence
-    const hackDeployments = scheduleOperation(ns, "hack", target, batch.hackThreads, ramPool, operationStartTimes);
-    const growDeployments = scheduleOperation(ns, "grow", target, batch.growThreads, ramPool, operationStartTimes);
-    const weakenDeployments = scheduleOperation(ns, "weaken", target, batch.weakenThreads, ramPool, operationStartTimes);
+    for (const target in pipelines) {
+        pipelines[target].windows.sort((a, b) => a.landStart - b.landStart);
+    }
 
-    return hackDeployments.length > 0 || growDeployments.length > 0 || weakenDeployments.length > 0;
+    return pipelines;
 }
 
 /**
- * Schedule an operation across available RAM
+ * Schedule an operation across available RAM, running as much of it as fits
  * @param {NS} ns
  * @param {string} opType - "hack", "grow", or "weaken"
  * @param {string} target
- * @param {number} threads
+ * @param {number} threads - Single-core thread count (fewer are needed on multi-core hosts)
  * @param {Array} ramPool
  * @param {Object} operationStartTimes - Map to track PIDs
+ * @param {number} [delay=0] - Extra ms the worker waits before its operation lands
  * @returns {Array<{pid: number, host: string, threads: number}>} Array of deployed operations
  */
-function scheduleOperation(ns, opType, target, threads, ramPool, operationStartTimes) {
-    const workerScript = `/hack-v1/workers/${opType}.js`;
-    let threadsRemaining = threads;
+function scheduleOperation(ns, opType, target, threads, ramPool, operationStartTimes, delay = 0) {
+    const reservation = reserveRam([{ type: opType, threads }], ramPool, true);
     const deployments = [];
-    const startTime = Date.now(); // Track when scheduled
 
-    for (const server of ramPool) {
-        if (threadsRemaining <= 0) {
-            break;
+    for (const placement of reservation.placements) {
+        const pid = execOperation(ns, opType, target, placement.hostname, placement.threads, operationStartTimes, delay, null, placement.cores);
+
+        if (pid > 0) {
+            // Track this deployment
+            deployments.push({
+                pid,
+                host: placement.hostname,
+                threads: placement.threads
+            });
+
+            // Update RAM tracking
+            commitReservation(ramPool, { placements: [placement] });
         }
+    }
 
-        const threadsAvailable = Math.floor(server.freeRam / WORKER_RAM);
-        if (threadsAvailable <= 0) {
-            continue;
+    return deployments;
+}
+
+/**
+ * Start a single worker process and track it
+ * @param {NS} ns
+ * @param {string} opType - "hack", "grow", or "weaken"
+ * @param {string} target
+ * @param {string} hostname - Server to run the worker on
+ * @param {number} threads
+ * @param {Object} operationStartTimes - Map to track PIDs
+ * @param {number} [delay=0] - Extra ms the worker waits before its operation lands
+ * @param {number|null} [batchId=null] - Batch this operation belongs to (null for prep)
+ * @param {number} [cores=1] - CPU cores of the host
+ * @returns {number} PID, or 0 if the worker failed to start
+ */
+function execOperation(ns, opType, target, hostname, threads, operationStartTimes, delay = 0, batchId = null, cores = 1) {
+    const workerScript = `/hack-v1/workers/${opType}.js`;
+    const startTime = Date.now(); // Track when scheduled
+
+    try {
+        const pid = ns.exec(workerScript, hostname, threads, target, delay, batchId ?? "prep");
+
+        if (pid > 0) {
+            // Record start and landing time for countdown tracking
+            operationStartTimes[pid] = {
+                target: target,
+                type: opType,
+                host: hostname,
+                threads: threads,
+                cores: cores,
+                startTime: startTime,
+                endTime: startTime + delay + getOperationTime(ns, opType, target),
+                batchId: batchId
+            };
+        } else {
+            // exec returned 0 - failed to start
+            ns.print(`Failed to exec ${workerScript} on ${hostname} (${threads}t for ${target})`);
         }
 
-        const threadsToRun = Math.min(threadsRemaining, threadsAvailable);
+        return pid;
+    } catch (error) {
+        ns.print(`Error executing ${workerScript} on ${hostname}: ${error}`);
+        return 0;
+    }
+}
 
-        try {
-            const pid = ns.exec(workerScript, server.hostname, threadsToRun, target);
-
-            if (pid > 0) {
-                // Track this deployment
-                deployments.push({
-                    pid,
-                    host: server.hostname,
-                    threads: threadsToRun
-                });
-
-                // Record start time for countdown tracking
-                operationStartTimes[pid] = {
-                    target: target,
-                    type: opType,
-                    startTime: startTime
-                };
+/**
+ * Get the duration of an operation against a target
+ * @param {NS} ns
+ * @param {string} opType - "hack", "grow", or "weaken"
+ * @param {string} target
+ * @returns {number} Duration in ms
+ */
+function getOperationTime(ns, opType, target) {
+    if (opType === "hack") return ns.getHackTime(target);
+    if (opType === "grow") return ns.getGrowTime(target);
+    return ns.getWeakenTime(target);
+}
 
-                // Update RAM tracking
-                const ramUsed = threadsToRun * WORKER_RAM;
-                server.freeRam -= ramUsed;
-                server.usedRam += ramUsed;
-                threadsRemaining -= threadsToRun;
-            } else {
-                // exec returned 0 - failed to start
-                ns.print(`Failed to exec ${workerScript} on ${server.hostname} (${threadsToRun}t for ${target})`);
-            }
+
+/**
+ * Drain worker completion messages and stop tracking the finished operations
+ * @param {NS} ns
+ * @param {Object} operationStartTimes - Map of tracked PIDs (finished entries removed)
+ * @param {string[]} workerMessages - Messages already read off the port (emptied)
+ * @returns {Array<{pid: number, target: string, op: string, job: number|string, result: number, end: number, threads: number}>} Completion messages, with the threads the scheduler ran
+ */
+function processWorkerEvents(ns, operationStartTimes, workerMessages) {
+    const events = [];
+
+    readWorkerPort(ns, workerMessages);
+    for (const data of workerMessages.splice(0)) {
+        try {
+            const event = JSON.parse(data);
+            const op = operationStartTimes[event.pid];
+            event.threads = op ? op.threads : 0;
+            delete operationStartTimes[event.pid];
+            events.push(event);
         } catch (error) {
-            ns.print(`Error executing ${workerScript} on ${server.hostname}: ${error}`);
+            ns.print(`Ignoring bad worker message: ${data}`);
         }
     }
 
-    return deployments;
+    return events;
 }
 
 /**
- * Get all servers using BFS scan
+ * Move any messages waiting on the worker port into the buffer
  * @param {NS} ns
- * @returns {string[]}
+ * @param {string[]} workerMessages - Buffered messages (appended to)
  */
-function getAllServers(ns) {
-    const queue = ["home"];
-    const visited = new Set(["home"]);
-    const servers = [];
-
-    while (queue.length > 0) {
-        const current = queue.shift();
-        servers.push(current);
-
-        const neighbors = ns.scan(current);
-        for (const neighbor of neighbors) {
-            if (!visited.has(neighbor)) {
-                visited.add(neighbor);
-                queue.push(neighbor);
-            }
+function readWorkerPort(ns, workerMessages) {
+    while (true) {
+        const data = ns.readPort(PORT_WORKER_EVENTS);
+        if (data === "NULL PORT DATA") {
+            return;
         }
+        workerMessages.push(data);
     }
-
-    return servers;
 }
 
 /**
- * Clean up finished operations from tracking map
+ * Sleep, reading worker messages as they arrive
+ * The port only holds so many messages and drops the oldest when full, which would lose results
+ * and leave their RAM counted as in use until they expire.
  * @param {NS} ns
- * @param {string[]} servers
- * @param {Object} operationStartTimes
- * @returns {Object} Cleaned operation start times
+ * @param {number} ms
+ * @param {string[]} workerMessages - Buffered messages (appended to)
  */
-function cleanupFinishedOperations(ns, servers, operationStartTimes) {
-    // Get all running PIDs across all servers
-    const runningPids = new Set();
+async function sleepReadingWorkerPort(ns, ms, workerMessages) {
+    const end = Date.now() + ms;
+
+    readWorkerPort(ns, workerMessages);
+    while (Date.now() < end) {
+        await Promise.race([ns.asleep(end - Date.now()), ns.nextPortWrite(PORT_WORKER_EVENTS)]);
+        readWorkerPort(ns, workerMessages);
+    }
+}
 
-    for (const hostname of servers) {
-        if (!ns.hasRootAccess(hostname)) continue;
+/**
+ * Stop tracking operations long past their landing time
+ * Covers workers whose completion message was lost or that were killed elsewhere.
+ * @param {Object} operationStartTimes - Map of tracked PIDs (overdue entries removed)
+ * @param {number} grace - ms past the landing time to wait for a message
+ */
+function expireOverdueOperations(operationStartTimes, grace) {
+    const now = Date.now();
 
-        const scripts = ns.ps(hostname);
-        for (const script of scripts) {
-            runningPids.add(script.pid);
+    for (const pid in operationStartTimes) {
+        const op = operationStartTimes[pid];
+        if (op.endTime && op.endTime + grace < now) {
+            delete operationStartTimes[pid];
         }
     }
+}
 
-    // Keep only PIDs that are still running
+/**
+ * Sleep until a worker reports in, a command arrives or the next batch finishes landing
+ * @param {NS} ns
+ * @param {Object} batches - Map of in-flight batches by ID
+ * @param {string[]} workerMessages - Buffered worker messages (appended to)
+ * @param {number} minDelay - Shortest wait, so bursts of messages are handled together
+ * @param {number} maxDelay - Longest wait
+ * @param {number} controlPort - Port commands arrive on
+ */
+async function waitForNextEvent(ns, batches, workerMessages, minDelay, maxDelay, controlPort) {
+    const now = Date.now();
+    const nextLanding = Object.values(batches)
+        .map(b => b.landEnd)
+        .filter(t => t > now)
+        .reduce((earliest, t) => Math.min(earliest, t), now + maxDelay);
+
+    await sleepReadingWorkerPort(ns, minDelay, workerMessages);
+
+    const remaining = nextLanding - Date.now();
+    if (remaining > 0 && workerMessages.length === 0 && ns.peek(controlPort) === "NULL PORT DATA") {
+        await Promise.race([ns.asleep(remaining), ns.nextPortWrite(PORT_WORKER_EVENTS), ns.nextPortWrite(controlPort)]);
+    }
+}
+
+/**
+ * Drop batches that have landed and have no operations left running
+ * @param {Object} batches - Map of in-flight batches by ID
+ * @param {Object} operationStartTimes - Already cleaned of finished operations
+ * @returns {Object} Cleaned batches
+ */
+function cleanupFinishedBatches(batches, operationStartTimes) {
+    const now = Date.now();
     const cleaned = {};
-    for (const pid in operationStartTimes) {
-        if (runningPids.has(parseInt(pid))) {
-            cleaned[pid] = operationStartTimes[pid];
+
+    for (const batchId in batches) {
+        const batch = batches[batchId];
+        const running = batch.pids.some(pid => operationStartTimes[pid]);
+        if (running || batch.landEnd > now) {
+            cleaned[batchId] = batch;
         }
     }
 
@@ -1,46 +1,23 @@
 /** @param {NS} ns */
 
-/**
- * Scan all servers in the network using BFS
- * @param {NS} ns
- * @returns {string[]} Array of all server hostnames
- */
-export function scanAllServers(ns) {
-    const queue = ["home"];
-    const visited = new Set(["home"]);
-    const servers = [];
-
-    while (queue.length > 0) {
-        const current = queue.shift();
-        servers.push(current);
-
-        const neighbors = ns.scan(current);
-        for (const neighbor of neighbors) {
-            if (!visited.has(neighbor)) {
-                visited.add(neighbor);
-                queue.push(neighbor);
-            }
-        }
-    }
-
-    return servers;
-}
+const WORKER_DIR = "hack-v1/workers/"; // Worker scripts are the only ones a replacement waits for
 
 /**
  * Attempt to gain root access on a server
+ * Only open ports matter: nuke doesn't check hacking level.
  * @param {NS} ns
  * @param {string} hostname
- * @returns {boolean} True if root access obtained
+ * @returns {{rooted: boolean, portsOpened: number, portsRequired: number}} portsOpened is 0 if root was already held
  */
 export function rootServer(ns, hostname) {
+    const portsRequired = ns.getServerNumPortsRequired(hostname);
+    let portsOpened = 0;
+
     // Already have root
     if (ns.hasRootAccess(hostname)) {
-        return true;
+        return { rooted: true, portsOpened, portsRequired };
     }
 
-    const portsRequired = ns.getServerNumPortsRequired(hostname);
-    let portsOpened = 0;
-
     // Try all available port crackers
     if (ns.fileExists("BruteSSH.exe", "home")) {
         ns.brutessh(hostname);
@@ -70,23 +47,18 @@ export function rootServer(ns, hostname) {
     // Try to nuke if enough ports opened
     if (portsOpened >= portsRequired) {
         ns.nuke(hostname);
-        return ns.hasRootAccess(hostname);
     }
 
-    return false;
+    return { rooted: ns.hasRootAccess(hostname), portsOpened, portsRequired };
 }
 
 /**
  * Check if we should purchase a new server
  * @param {NS} ns
+ * @param {number} budget - Most the purchase may cost
  * @returns {{purchase: boolean, ram: number, name: string}} Purchase decision
  */
-export function shouldPurchaseServer(ns) {
-    const currentMoney = ns.getServerMoneyAvailable("home");
-
-    // Don't spend more than 25% of current money on servers
-    const budget = currentMoney * 0.25;
-
+export function shouldPurchaseServer(ns, budget) {
     // Check if we have room for more servers
     const owned = ns.getPurchasedServers();
     const limit = ns.getPurchasedServerLimit();
@@ -97,7 +69,7 @@ export function shouldPurchaseServer(ns) {
 
     // Find largest affordable RAM (powers of 2)
     let ram = 8;
-    while (ram <= ns.getPurchasedServerMaxRam()) {
+    while (ram * 2 <= ns.getPurchasedServerMaxRam()) {
         const cost = ns.getPurchasedServerCost(ram * 2);
         if (cost > budget) {
             break;
@@ -111,7 +83,7 @@ export function shouldPurchaseServer(ns) {
         return {
             purchase: true,
             ram: ram,
-            name: `worker-${owned.length}`
+            name: getFreeServerName(owned)
         };
     }
 
@@ -127,11 +99,105 @@ export function shouldPurchaseServer(ns) {
  */
 export function purchaseAndSetup(ns, ram, name) {
     const hostname = ns.purchaseServer(name, ram);
+    return hostname || null;
+}
 
-    if (hostname) {
-        ns.tprint(`Purchased server ${hostname} with ${ram}GB RAM`);
-        return hostname;
+/**
+ * Plan an upgrade of the smallest purchased server
+ * Picks the largest RAM the budget allows, at least double the server's current RAM.
+ * A server that has to be replaced can't be the one this script runs on.
+ * @param {NS} ns
+ * @param {number} budget - Most the upgrade may cost
+ * @returns {{host: string, fromRam: number, ram: number, cost: number}|null} Plan, or null if nothing is affordable
+ */
+export function planServerUpgrade(ns, budget) {
+    const here = ns.getHostname();
+    const owned = ns.getPurchasedServers().filter(host => canUpgradeInPlace(ns) || host !== here);
+    if (owned.length === 0) {
+        return null;
     }
 
-    return null;
+    const host = owned.reduce((smallest, h) => ns.getServerMaxRam(h) < ns.getServerMaxRam(smallest) ? h : smallest);
+    const fromRam = ns.getServerMaxRam(host);
+
+    let ram = 0;
+    for (let next = fromRam * 2; next <= ns.getPurchasedServerMaxRam(); next *= 2) {
+        if (getUpgradeCost(ns, host, next) > budget) {
+            break;
+        }
+        ram = next;
+    }
+
+    if (ram === 0) {
+        return null;
+    }
+    return { host, fromRam, ram, cost: getUpgradeCost(ns, host, ram) };
+}
+
+/**
+ * Carry out an upgrade plan
+ * In-place upgrades keep running scripts. Without them the server is deleted and bought
+ * again at the new size, which has to wait until its workers have finished. Services the
+ * launcher placed there are stopped for the launcher to restart elsewhere.
+ * @param {NS} ns
+ * @param {{host: string, ram: number}} plan - From planServerUpgrade
+ * @param {number} budget - Most the upgrade may cost now
+ * @returns {string} "upgraded", "replaced", "busy" (workers still running), "unaffordable" or "failed"
+ */
+export function upgradeServer(ns, plan, budget) {
+    // Checked before waiting on workers too, so a server isn't drained for a plan that can no longer be paid for
+    if (getUpgradeCost(ns, plan.host, plan.ram) > budget) {
+        return "unaffordable";
+    }
+    if (canUpgradeInPlace(ns)) {
+        return ns.upgradePurchasedServer(plan.host, plan.ram) ? "upgraded" : "failed";
+    }
+
+    const processes = ns.ps(plan.host);
+    if (processes.some(p => p.filename.includes(WORKER_DIR))) {
+        return "busy";
+    }
+
+    for (const p of processes) {
+        ns.kill(p.pid);
+        ns.print(`Stopped ${p.filename} on ${plan.host} to replace the server`);
+    }
+    if (!ns.deleteServer(plan.host)) {
+        return "failed";
+    }
+    return ns.purchaseServer(plan.host, plan.ram) ? "replaced" : "failed";
+}
+
+/**
+ * Get what raising a purchased server to a RAM size costs
+ * @param {NS} ns
+ * @param {string} host
+ * @param {number} ram
+ * @returns {number}
+ */
+function getUpgradeCost(ns, host, ram) {
+    // Replacing a server costs a whole new one
+    return canUpgradeInPlace(ns) ? ns.getPurchasedServerUpgradeCost(host, ram) : ns.getPurchasedServerCost(ram);
+}
+
+/**
+ * Check whether purchased servers can be upgraded without replacing them
+ * @param {NS} ns
+ * @returns {boolean}
+ */
+function canUpgradeInPlace(ns) {
+    return typeof ns.upgradePurchasedServer === "function";
+}
+
+/**
+ * Get the first worker-N name not already taken
+ * @param {string[]} owned - Purchased server hostnames
+ * @returns {string}
+ */
+function getFreeServerName(owned) {
+    let i = 0;
+    while (owned.includes(`worker-${i}`)) {
+        i++;
+    }
+    return `worker-${i}`;
 }
@@ -1,11 +1,36 @@
+/** @param {NS} ns */
+
+import { loadConfig } from "/hack-v1/config.js";
+
 /** @param {NS} ns */
 export async function main(ns) {
-    const PORT_CONTROL = 3;
+    const { ports } = loadConfig(ns);
+    const flags = ns.flags([
+        ["drain", false], // Let in-flight weakens land before exiting
+        ["now", false] // Kill everything immediately (the default)
+    ]);
+
+    if (flags.drain && flags.now) {
+        ns.tprint("ERROR: Use either --drain or --now, not both");
+        return;
+    }
 
     ns.tprint("=== HWGW System Shutdown ===");
+
+    if (flags.drain) {
+        ns.tprint("Sending drain signal to launcher...");
+
+        await ns.writePort(ports.control, JSON.stringify({ id: `${ns.pid}-${Date.now()}`, command: "drain", args: [], timestamp: Date.now() }));
+
+        ns.tprint("✓ Drain signal sent");
+        ns.tprint("Scheduler will stop launching and kill hacks and grows that haven't landed");
+        ns.tprint("Launcher will exit once the remaining weakens land");
+        return;
+    }
+
     ns.tprint("Sending shutdown signal to launcher...");
 
-    await ns.writePort(PORT_CONTROL, "SHUTDOWN");
+    await ns.writePort(ports.control, "SHUTDOWN");
 
     ns.tprint("✓ Shutdown signal sent");
     ns.tprint("Launcher will kill all system processes and exit");
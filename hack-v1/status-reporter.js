@@ -1,45 +1,47 @@
 /** @param {NS} ns */
 
 import { isPrepped } from "/hack-v1/analyzer.js";
-
-const PORT_SCHEDULER_STATE = 4; // Input port from scheduler
-const PORT_STATUS = 2; // Output port for launcher
-const WORKER_RAM = 1.75;
+import { sendHeartbeat } from "/hack-v1/heartbeat.js";
+import { buildRamPool } from "/hack-v1/ram-planner.js";
+import { loadConfig, reloadConfig } from "/hack-v1/config.js";
 
 /** @param {NS} ns */
 export async function main(ns) {
     ns.disableLog("ALL");
     ns.print("Status reporter started");
 
-    const STATUS_DELAY = 1000; // 1 second
+    let config = loadConfig(ns);
     let iteration = 0;
 
     while (true) {
         try {
             iteration++;
+            config = reloadConfig(ns, config);
 
             // Read shared state from scheduler
-            const stateData = ns.peek(PORT_SCHEDULER_STATE);
+            const stateData = ns.peek(config.ports.schedulerState);
             if (stateData === "NULL PORT DATA") {
                 if (iteration % 10 === 0) { // Only log every 10 seconds to reduce spam
                     ns.print(`[Status ${iteration}] Waiting for scheduler state...`);
                 }
-                await ns.sleep(STATUS_DELAY);
+                await sendHeartbeat(ns, config.ports.heartbeat, "status-reporter", iteration);
+                await ns.sleep(config.statusReporter.delay);
                 continue;
             }
 
-            const { servers, targets, operationStartTimes } = JSON.parse(stateData);
+            const { servers, targets, operationStartTimes, pipelines, allocation, targetPhases, desyncEvents, controls, analyzerBackend, realized } = JSON.parse(stateData);
 
             if (!targets || targets.length === 0) {
                 if (iteration % 10 === 0) {
                     ns.print(`[Status ${iteration}] No targets yet`);
                 }
-                await ns.sleep(STATUS_DELAY);
+                await sendHeartbeat(ns, config.ports.heartbeat, "status-reporter", iteration);
+                await ns.sleep(config.statusReporter.delay);
                 continue;
             }
 
             // Build RAM pool
-            const ramPool = buildRamPool(ns, servers);
+            const ramPool = buildRamPool(ns, servers, (controls && controls.homeReserve) ?? config.homeReserve);
 
             // Query actual running operations
             const targetHostnames = targets.map(t => t.hostname);
@@ -49,18 +51,27 @@ export async function main(ns) {
             const status = {
                 timestamp: Date.now(),
                 ramPool: ramPool,
-                targets: targets.slice(0, 5).map(t => {
+                analyzerBackend: analyzerBackend || "heuristic",
+                controls: controls || null,
+                targets: targets.map(t => {
                     const targetPrepped = isPrepped(ns, t.hostname);
                     const ops = activeOperations[t.hostname] || { hack: [], grow: [], weaken: [] };
+                    const desyncs = (desyncEvents || []).filter(e => e.target === t.hostname);
 
                     return {
                         hostname: t.hostname,
                         score: t.score,
                         moneyPerSec: t.moneyPerSec,
+                        realized: (realized && realized[t.hostname]) || null,
+                        hackPercent: t.hackPercent,
                         prepped: targetPrepped,
                         activelyWorked: (ops.hack.length + ops.grow.length + ops.weaken.length) > 0,
                         money: ns.getServerMoneyAvailable(t.hostname),
                         maxMoney: ns.getServerMaxMoney(t.hostname),
+                        pipeline: (pipelines && pipelines[t.hostname]) || null,
+                        allocation: (allocation && allocation[t.hostname]) || null,
+                        phase: (targetPhases && targetPhases[t.hostname]) || null,
+                        lastDesync: desyncs.length > 0 ? desyncs[desyncs.length - 1] : null,
                         operations: {
                             hack: {
                                 count: ops.hack.length,
@@ -83,86 +94,24 @@ export async function main(ns) {
                 opsScheduled: targets.length
             };
 
-            ns.clearPort(PORT_STATUS);
-            await ns.writePort(PORT_STATUS, JSON.stringify(status));
+            ns.clearPort(config.ports.status);
+            await ns.writePort(config.ports.status, JSON.stringify(status));
 
-            await ns.sleep(STATUS_DELAY);
+            await sendHeartbeat(ns, config.ports.heartbeat, "status-reporter", iteration);
+            await ns.sleep(config.statusReporter.delay);
 
         } catch (error) {
             ns.print(`[Status ${iteration}] ERROR: ${error}`);
             ns.print(`Stack: ${error.stack || 'No stack trace'}`);
-            await ns.sleep(STATUS_DELAY);
-        }
-    }
-}
-
-/**
- * Build RAM pool from all available servers
- * @param {NS} ns
- * @param {string[]} servers
- * @returns {Array<{hostname: string, maxRam: number, usedRam: number, freeRam: number}>}
- */
-function buildRamPool(ns, servers) {
-    const pool = [];
-
-    for (const hostname of servers) {
-        if (!ns.hasRootAccess(hostname)) {
-            continue;
-        }
-
-        const maxRam = ns.getServerMaxRam(hostname);
-        const usedRam = ns.getServerUsedRam(hostname);
-        const freeRam = maxRam - usedRam;
-
-        if (hostname === "home") {
-            const reservedRam = 20;
-            const adjustedFree = Math.max(0, freeRam - reservedRam);
-            if (adjustedFree > WORKER_RAM) {
-                pool.push({
-                    hostname,
-                    maxRam,
-                    usedRam: usedRam + reservedRam,
-                    freeRam: adjustedFree
-                });
-            }
-        } else if (freeRam > WORKER_RAM) {
-            pool.push({ hostname, maxRam, usedRam, freeRam });
-        }
-    }
-
-    pool.sort((a, b) => b.freeRam - a.freeRam);
-
-    return pool;
-}
-
-/**
- * Helper to get all servers (BFS scan)
- * @param {NS} ns
- * @returns {string[]}
- */
-function getAllServers(ns) {
-    const queue = ["home"];
-    const visited = new Set(["home"]);
-    const servers = [];
-
-    while (queue.length > 0) {
-        const current = queue.shift();
-        servers.push(current);
-
-        const neighbors = ns.scan(current);
-        for (const neighbor of neighbors) {
-            if (!visited.has(neighbor)) {
-                visited.add(neighbor);
-                queue.push(neighbor);
-            }
+            await sendHeartbeat(ns, config.ports.heartbeat, "status-reporter", iteration, error);
+            await ns.sleep(config.statusReporter.delay);
         }
     }
-
-    return servers;
 }
 
 /**
- * Query running operations and calculate time remaining
+ * Collect tracked operations by target and calculate time remaining
+ * Uses the scheduler's PID tracking instead of scanning every server.
  * @param {NS} ns
  * @param {string[]} targetHostnames
  * @param {Object} operationStartTimes
@@ -177,50 +126,18 @@ function getActiveOperations(ns, targetHostnames, operationStartTimes) {
         activeOps[hostname] = { hack: [], grow: [], weaken: [] };
     }
 
-    // Scan all servers for running workers
-    const allServers = getAllServers(ns);
-    for (const serverHost of allServers) {
-        const runningScripts = ns.ps(serverHost);
-
-        for (const script of runningScripts) {
-            const target = script.args[0]; // Worker's first arg is target
-
-            if (!activeOps[target]) continue; // Not one of our tracked targets
-
-            // Get operation info and calculate remaining time
-            const opInfo = operationStartTimes[script.pid];
-            let timeRemaining = 0;
+    for (const pid in operationStartTimes) {
+        const opInfo = operationStartTimes[pid];
+        const ops = activeOps[opInfo.target];
 
-            if (opInfo) {
-                const elapsed = now - opInfo.startTime;
-                let duration = 0;
+        if (!ops || !ops[opInfo.type]) continue; // Not one of our tracked targets
 
-                if (script.filename === "/hack-v1/workers/hack.js") {
-                    duration = ns.getHackTime(target);
-                } else if (script.filename === "/hack-v1/workers/grow.js") {
-                    duration = ns.getGrowTime(target);
-                } else if (script.filename === "/hack-v1/workers/weaken.js") {
-                    duration = ns.getWeakenTime(target);
-                }
-
-                timeRemaining = Math.max(0, duration - elapsed);
-            }
-
-            const opData = {
-                host: serverHost,
-                threads: script.threads,
-                timeRemaining: timeRemaining,
-                pid: script.pid
-            };
-
-            if (script.filename === "/hack-v1/workers/hack.js") {
-                activeOps[target].hack.push(opData);
-            } else if (script.filename === "/hack-v1/workers/grow.js") {
-                activeOps[target].grow.push(opData);
-            } else if (script.filename === "/hack-v1/workers/weaken.js") {
-                activeOps[target].weaken.push(opData);
-            }
-        }
+        ops[opInfo.type].push({
+            host: opInfo.host,
+            threads: opInfo.threads || 0,
+            timeRemaining: Math.max(0, (opInfo.endTime || 0) - now),
+            pid: parseInt(pid)
+        });
     }
 
     return activeOps;
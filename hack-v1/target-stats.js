@@ -0,0 +1,71 @@
+/** @param {NS} ns */
+
+const STATS_WINDOW = 300000; // 5 minutes of worker results per target
+
+/**
+ * Record worker completion messages into per-target stats
+ * @param {Object} stats - Recent results by target (updated)
+ * @param {Array<{target: string, op: string, result: number, end: number, threads: number}>} events
+ * @param {Object} backend - Analyzer backend, for security added per thread
+ */
+export function recordWorkerEvents(stats, events, backend) {
+    for (const event of events) {
+        if (!stats[event.target]) {
+            stats[event.target] = { firstSeen: event.end, results: [] };
+        }
+
+        // Hacks only raise security when they succeed; weakens report what they removed
+        let securityDelta = 0;
+        if (event.op === "hack" && event.result > 0) {
+            securityDelta = backend.hackSecurity(event.threads || 0);
+        } else if (event.op === "grow") {
+            securityDelta = backend.growSecurity(event.threads || 0);
+        } else if (event.op === "weaken") {
+            securityDelta = -event.result;
+        }
+
+        stats[event.target].results.push({
+            end: event.end,
+            op: event.op,
+            job: event.job,
+            result: event.result,
+            securityDelta
+        });
+    }
+}
+
+/**
+ * Summarize the last STATS_WINDOW of results for each target
+ * Results older than the window are dropped. avgGrowth only counts batch grows.
+ * @param {Object} stats - Recent results by target (pruned)
+ * @returns {Object<string, {moneyPerSec: number, moneyStolen: number, hacks: number, hackSuccessRate: number, avgGrowth: number, securityDelta: number}>}
+ */
+export function summarizeTargetStats(stats) {
+    const now = Date.now();
+    const summary = {};
+
+    for (const target in stats) {
+        const entry = stats[target];
+        entry.results = entry.results.filter(r => r.end > now - STATS_WINDOW);
+
+        const hacks = entry.results.filter(r => r.op === "hack");
+        // Prep grows refill from far below max money, so they'd swamp the per-batch growth
+        const grows = entry.results.filter(r => r.op === "grow" && r.job !== "prep");
+        const moneyStolen = hacks.reduce((sum, r) => sum + r.result, 0);
+        const successes = hacks.filter(r => r.result > 0).length;
+
+        // Measure over the window, or since the first result if that's more recent
+        const elapsed = Math.min(STATS_WINDOW, now - entry.firstSeen);
+
+        summary[target] = {
+            moneyPerSec: elapsed > 0 ? moneyStolen / (elapsed / 1000) : 0,
+            moneyStolen,
+            hacks: hacks.length,
+            hackSuccessRate: hacks.length > 0 ? successes / hacks.length : 0,
+            avgGrowth: grows.length > 0 ? grows.reduce((sum, r) => sum + r.result, 0) / grows.length : 0,
+            securityDelta: entry.results.reduce((sum, r) => sum + r.securityDelta, 0)
+        };
+    }
+
+    return summary;
+}
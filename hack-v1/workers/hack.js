@@ -1,5 +1,18 @@
 /** @param {NS} ns */
 export async function main(ns) {
+    const PORT_WORKER_EVENTS = 5; // Completion messages for the scheduler
+
     const target = ns.args[0];
-    await ns.hack(target);
+    const delay = ns.args[1] || 0; // Extra ms before the operation lands
+    const job = ns.args[2] ?? null; // Batch ID, or "prep"
+    const result = await ns.hack(target, { additionalMsec: delay });
+
+    await ns.writePort(PORT_WORKER_EVENTS, JSON.stringify({
+        pid: ns.pid,
+        target,
+        op: "hack",
+        job,
+        result,
+        end: Date.now()
+    }));
 }
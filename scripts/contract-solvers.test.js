@@ -0,0 +1,148 @@
+// Offline checks for hack-v1/contract-solvers.js, run with: node scripts/test.js
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { getSolver, getSolverTypes } from "../hack-v1/contract-solvers.js";
+
+/**
+ * Known inputs and answers for every contract type, as [data, answer] pairs
+ * Types that accept more than one answer are checked by CHECKS below instead of compared directly.
+ */
+const CASES = {
+    "Find Largest Prime Factor": [[600851475143, 6857], [97, 97], [2 * 2 * 3 * 7 * 7, 7]],
+    "Subarray with Maximum Sum": [[[-2, 1, -3, 4, -1, 2, 1, -5, 4], 6], [[-3, -1, -2], -1]],
+    "Total Ways to Sum": [[4, 4], [5, 6], [35, 14882]],
+    "Total Ways to Sum II": [[[4, [1, 2, 3]], 4], [[10, [2, 5, 3, 6]], 5]],
+    "Spiralize Matrix": [
+        [[[1, 2, 3], [4, 5, 6], [7, 8, 9]], [1, 2, 3, 6, 9, 8, 7, 4, 5]],
+        [[[1, 2, 3, 4], [5, 6, 7, 8], [9, 10, 11, 12]], [1, 2, 3, 4, 8, 12, 11, 10, 9, 5, 6, 7]],
+        [[[1], [2], [3]], [1, 2, 3]]
+    ],
+    "Array Jumping Game": [[[2, 3, 1, 1, 4], 1], [[3, 2, 1, 0, 4], 0], [[0], 1]],
+    "Array Jumping Game II": [[[2, 3, 1, 1, 4], 2], [[3, 2, 1, 0, 4], 0], [[2, 3, 0, 1, 4], 2]],
+    "Merge Overlapping Intervals": [
+        [[[1, 3], [8, 10], [2, 6], [10, 16]], [[1, 6], [8, 16]]],
+        [[[1, 4], [2, 3]], [[1, 4]]]
+    ],
+    "Generate IP Addresses": [
+        ["25525511135", ["255.255.11.135", "255.255.111.35"]],
+        ["1938718066", ["193.87.180.66"]]
+    ],
+    "Algorithmic Stock Trader I": [[[7, 1, 5, 3, 6, 4], 5], [[5, 4, 3], 0]],
+    "Algorithmic Stock Trader II": [[[7, 1, 5, 3, 6, 4], 7], [[1, 2, 3, 4, 5], 4]],
+    "Algorithmic Stock Trader III": [[[3, 3, 5, 0, 0, 3, 1, 4], 6], [[7, 6, 4, 3, 1], 0]],
+    "Algorithmic Stock Trader IV": [[[2, [3, 2, 6, 5, 0, 3]], 7], [[2, [2, 4, 1]], 2]],
+    "Minimum Path Sum in a Triangle": [[[[2], [3, 4], [6, 5, 7], [4, 1, 8, 3]], 11]],
+    "Unique Paths in a Grid I": [[[3, 7], 28], [[3, 2], 3]],
+    "Unique Paths in a Grid II": [[[[0, 0, 0], [0, 1, 0], [0, 0, 0]], 2], [[[0, 1], [1, 0]], 0]],
+    "Shortest Path in a Grid": [[[[0, 1, 0, 0, 0], [0, 0, 0, 1, 0]], "DRRURRD"], [[[0, 1], [1, 0]], ""]],
+    "Sanitize Parentheses in Expression": [
+        ["()())()", ["(())()", "()()()"]],
+        ["(a)())()", ["(a())()", "(a)()()"]],
+        [")(", [""]]
+    ],
+    "Find All Valid Math Expressions": [
+        [["123", 6], ["1+2+3", "1*2*3"]],
+        [["105", 5], ["1*0+5", "10-5"]]
+    ],
+    "HammingCodes: Integer to Encoded Binary": [[8, "11110000"], [21, "1001101011"]],
+    "HammingCodes: Encoded Binary to Integer": [["11110000", 8], ["11100000", 8], ["1001101010", 21]],
+    "Proper 2-Coloring of a Graph": [
+        [[4, [[0, 2], [0, 3], [1, 2], [1, 3]]], [0, 0, 1, 1]],
+        [[3, [[0, 1], [0, 2], [1, 2]]], []]
+    ],
+    "Compression I: RLE Compression": [["aaaaabccc", "5a1b3c"], ["aAaAaA", "1a1A1a1A1a1A"], ["aaaaaaaaaaaaaa", "9a5a"]],
+    "Compression II: LZ Decompression": [["5aaabb450723abb", "aaabbaaababababaabb"], ["5aaabb641", "aaabbaabbaa"]],
+    "Compression III: LZ Compression": [
+        ["abracadabra", "7abracad47"],
+        ["mississippi", "4miss433ppi"],
+        ["aAAaAAaAaAA", "3aAA53035"],
+        ["2718281828", "627182844"],
+        ["abcdefghijk", "9abcdefghi02jk"],
+        ["aaaaaaaaaaaaa", "1a91031"]
+    ],
+    "Encryption I: Caesar Cipher": [[["DEF ABC", 3], "ABC XYZ"], [["HELLO", 29], "EBIIL"]],
+    "Encryption II: Vigenère Cipher": [[["DASHBOARD", "LINUX"], "OIFBYZIEX"]]
+};
+
+/**
+ * Checks for types where any of several answers is accepted
+ * Each gets the data, the solver's answer and the known answer from CASES.
+ */
+const CHECKS = {
+    "Generate IP Addresses": (data, actual, expected) => assert.deepEqual([...actual].sort(), [...expected].sort()),
+    "Sanitize Parentheses in Expression": (data, actual, expected) => assert.deepEqual([...actual].sort(), [...expected].sort()),
+    "Find All Valid Math Expressions": (data, actual, expected) => assert.deepEqual([...actual].sort(), [...expected].sort()),
+    "Shortest Path in a Grid": (grid, actual, expected) => {
+        assert.equal(actual.length, expected.length);
+        if (actual !== "") {
+            assert.ok(followsGridPath(grid, actual), `${actual} doesn't reach the bottom right`);
+        }
+    },
+    "Proper 2-Coloring of a Graph": ([vertices, edges], actual, expected) => {
+        if (expected.length === 0) {
+            assert.deepEqual(actual, []);
+            return;
+        }
+        assert.equal(actual.length, vertices);
+        for (const [a, b] of edges) {
+            assert.notEqual(actual[a], actual[b], `edge ${a}-${b} joins two vertices of the same color`);
+        }
+    },
+    // Any encoding no longer than the shortest one is accepted
+    "Compression III: LZ Compression": (plain, actual, expected) => {
+        assert.equal(getSolver("Compression II: LZ Decompression")(actual), plain);
+        assert.ok(actual.length <= expected.length, `${actual} is longer than ${expected}`);
+    }
+};
+
+/**
+ * Walk a path through a grid from the top left
+ * @param {number[][]} grid - 1 marks a wall
+ * @param {string} path - Moves (U, D, L, R)
+ * @returns {boolean} True if the path stays off walls and ends at the bottom right
+ */
+function followsGridPath(grid, path) {
+    const steps = { U: [-1, 0], D: [1, 0], L: [0, -1], R: [0, 1] };
+    let r = 0;
+    let c = 0;
+    for (const move of path) {
+        r += steps[move][0];
+        c += steps[move][1];
+        if (grid[r] === undefined || grid[r][c] !== 0) return false;
+    }
+    return r === grid.length - 1 && c === grid[0].length - 1;
+}
+
+test("every solver has known cases", () => {
+    assert.deepEqual(getSolverTypes().filter(type => !CASES[type]), []);
+});
+
+test("unknown types have no solver", () => {
+    assert.equal(getSolver("Not A Contract"), null);
+});
+
+for (const type in CASES) {
+    test(type, () => {
+        const solver = getSolver(type);
+        assert.ok(solver, `no solver for ${type}`);
+
+        for (const [data, expected] of CASES[type]) {
+            const actual = solver(data);
+            if (CHECKS[type]) {
+                CHECKS[type](data, actual, expected);
+            } else {
+                assert.deepEqual(actual, expected, `wrong answer for ${JSON.stringify(data)}`);
+            }
+        }
+    });
+}
+
+test("LZ compression round-trips", () => {
+    const compress = getSolver("Compression III: LZ Compression");
+    const decompress = getSolver("Compression II: LZ Decompression");
+
+    for (const plain of ["", "a", "abcabcabcabcabcabc", "aaaaaaaaaaaaaaaaaaaaaaaaa", "ababbabbbabbbbabbbbbab", "0123456789012345678901"]) {
+        assert.equal(decompress(compress(plain)), plain);
+    }
+});
@@ -0,0 +1,21 @@
+#!/usr/bin/env node
+
+const { execSync } = require('child_process');
+
+// Find all tracked and new test files
+const files = execSync('git ls-files --cached --others --exclude-standard')
+    .toString()
+    .split('\n')
+    .filter(f => f.match(/\.test\.js$/));
+
+if (files.length === 0) {
+    console.log('No tests found');
+    process.exit(0);
+}
+
+// Game scripts are ES modules with no package.json to say so
+try {
+    execSync(`node --experimental-default-type=module --test ${files.join(' ')}`, { stdio: 'inherit' });
+} catch (error) {
+    process.exit(1);
+}